@@ -1,57 +1,259 @@
 #!/usr/bin/env node
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
-const readline = require('readline');
-const crypto = require('crypto');
+const zlib = require('zlib');
 const yargs = require('yargs/yargs');
 const { hideBin } = require('yargs/helpers');
+const yaml = require('js-yaml');
+const { anonymizeFile, scanFile, createExecSource, openVault, detokenizeFile } = require('./index');
+const { STDIO } = require('./lib/io');
+const { LOG_LEVELS, createLogger } = require('./lib/logger');
+const { validateStrategy } = require('./lib/strategies');
+const { parseColumnReference, describeColumn, buildRules, loadConfig } = require('./lib/config');
+
+// Exit codes: 0 on success. With --strict, a run that leaves values unanonymized or never finds a
+// configured table fails with its own code, so pipelines can refuse to publish the dump.
+const EXIT_FATAL = 1;
+const EXIT_UNANONYMIZED_VALUES = 2;
+const EXIT_MISSING_TABLES = 3;
+// With scan --strict, when values that look like PII are found
+const EXIT_PII_FOUND = 4;
+
+// Compressed file extensions listed in the help: zstd only with Node.js 22.15 or later
+const COMPRESSED_EXTENSIONS = typeof zlib.createZstdCompress === 'function' ? '.gz, .br and .zst' : '.gz and .br';
+
+/**
+ * Checks that a vault key is given when a vault is used (for the yargs checks).
+ * @param {object} args - The parsed arguments.
+ */
+function checkVaultKey(args) {
+    if (args.vault !== undefined && !(args.vaultKey || process.env.SQL_ANONYMIZER_VAULT_KEY)) {
+        throw new Error('--vault needs a key, given with --vault-key or SQL_ANONYMIZER_VAULT_KEY.');
+    }
+}
 
 // --- Argument Parsing ---
-console.log("DEBUG: Parsing arguments...");
 const argv = yargs(hideBin(process.argv))
-    .usage('Usage: $0 -i <input file> -o <output file> -t <table name> -c <column numbers>')
+    .usage('Usage: $0 [-i <input file> | --exec <command>] [-o <output file>] (-t <table name> -c <column numbers> | --config <config file>) [row filters]\n       $0 scan [-i <input file> | --exec <command>]\n       $0 detokenize [-i <input file>] [-o <output file>] --vault <vault file> [-t <table name> -c <columns> | --config <config file>]')
+    .command('$0', 'Anonymize a dump', (command) => command
+        .option('o', {
+            alias: 'output',
+            describe: `Path to the output anonymized SQL file, or - for stdout (${COMPRESSED_EXTENSIONS} files are compressed)`,
+            type: 'string',
+            default: STDIO,
+        })
+        .option('t', {
+            alias: 'table',
+            describe: 'Name of the table to target (e.g., public.products or products)',
+            type: 'string',
+        })
+        .option('c', {
+            alias: 'columns',
+            describe: 'Comma-separated list of 1-based column numbers or column names to anonymize, each optionally followed by :<strategy> (e.g., 2,email:email)',
+            type: 'string',
+            // Columns are kept as config entries; they are validated here so yargs reports errors
+            coerce: (arg) => arg.split(',').map(item => {
+                const [ref, strategy = 'random'] = item.split(':');
+                parseColumnReference(ref);
+                validateStrategy(strategy.trim(), {});
+                return { column: ref.trim(), strategy: strategy.trim() };
+            }),
+        })
+        .option('config', {
+            describe: 'Path to a JSON or YAML file listing the tables and columns to anonymize',
+            type: 'string',
+            conflicts: ['t', 'c'],
+        })
+        .option('exclude-table', {
+            describe: 'Drop all the rows of a table, keeping its schema (can be repeated)',
+            type: 'string',
+            array: true,
+        })
+        .option('sample', {
+            describe: 'Keep only a percentage of the rows of a table, chosen deterministically by primary key, as <table>:<percent> (can be repeated)',
+            type: 'string',
+            array: true,
+            coerce: (args) => args.map(arg => {
+                const separator = arg.lastIndexOf(':');
+                const percent = Number(arg.substring(separator + 1));
+                if (separator <= 0 || arg.substring(separator + 1).trim() === '' || !(percent >= 0 && percent <= 100)) {
+                    throw new Error(`Invalid --sample ${arg}: expected <table>:<percent>, with a percentage between 0 and 100.`);
+                }
+                return { table: arg.substring(0, separator), percent };
+            }),
+        })
+        .option('drop-rows', {
+            describe: 'Drop the rows of a table where a column equals (=) or differs from (!=) a value, as <table>:<column>=<value> (can be repeated)',
+            type: 'string',
+            array: true,
+            coerce: (args) => args.map(arg => {
+                const match = arg.match(/^([^:]+):([^=!]+?)\s*(!?=)(.*)$/);
+                if (!match) {
+                    throw new Error(`Invalid --drop-rows ${arg}: expected <table>:<column>=<value> or <table>:<column>!=<value>.`);
+                }
+                parseColumnReference(match[2]);
+                return { table: match[1], predicate: { column: match[2].trim(), [match[3] === '=' ? 'equals' : 'notEquals']: match[4] } };
+            }),
+        })
+        .option('secret', {
+            describe: 'Secret key for deterministic pseudonymization: the same value always gets the same replacement (can also be set with SQL_ANONYMIZER_SECRET)',
+            type: 'string',
+        })
+        .option('seed', {
+            describe: 'Seed of the random replacements: running again with the same seed on the same dump gives the same output (ignored with --secret)',
+            type: 'string',
+        })
+        .option('workers', {
+            describe: `Number of threads anonymizing rows; the output is the same with any number (this machine has ${os.availableParallelism()} cores)`,
+            type: 'number',
+            default: 1,
+        })
+        .option('dry-run', {
+            describe: 'Read the whole input and report the summary, but write no output; print the original and anonymized values of the first rows of each table instead',
+            type: 'boolean',
+            default: false,
+        })
+        .option('preview-rows', {
+            describe: 'Number of rows per table shown by --dry-run',
+            type: 'number',
+            default: 5,
+        })
+        .option('checkpoint', {
+            describe: 'Save the state of the run to <output>.checkpoint at regular intervals, so that it can be resumed if interrupted',
+            type: 'boolean',
+            default: false,
+        })
+        .option('resume', {
+            describe: 'Continue an interrupted run from <output>.checkpoint, keeping the output written until then (implies --checkpoint)',
+            type: 'boolean',
+            default: false,
+        })
+        .option('checkpoint-interval', {
+            describe: 'Megabytes of input between checkpoints',
+            type: 'number',
+            default: 64,
+        })
+        .option('vault', {
+            describe: 'Also write every replacement and its original value to this encrypted vault file, so that the dump can be detokenized',
+            type: 'string',
+        })
+        .option('vault-key', {
+            describe: 'Key of the vault (can also be set with SQL_ANONYMIZER_VAULT_KEY)',
+            type: 'string',
+        })
+        .option('strict', {
+            describe: `Fail with exit code ${EXIT_UNANONYMIZED_VALUES} if any targeted value is kept (skipped or failed), or ${EXIT_MISSING_TABLES} if a configured table never appears`,
+            type: 'boolean',
+            default: false,
+        })
+        .check((args) => {
+            if ((args.table === undefined) !== (args.columns === undefined)) {
+                throw new Error('-t and -c must be provided together.');
+            }
+            if (!Number.isInteger(args.workers) || args.workers < 1) {
+                throw new Error('--workers must be a positive integer.');
+            }
+            if (!Number.isInteger(args.previewRows) || args.previewRows < 1) {
+                throw new Error('--preview-rows must be a positive integer.');
+            }
+            if (!(args.checkpointInterval > 0)) {
+                throw new Error('--checkpoint-interval must be a positive number.');
+            }
+            if ((args.checkpoint || args.resume) && (args.dryRun || args.input === STDIO || args.output === STDIO || args.exec !== undefined)) {
+                throw new Error('--checkpoint and --resume need an input file and an output file, and cannot be used with --dry-run.');
+            }
+            if (args.vault !== undefined && (args.dryRun || args.checkpoint || args.resume)) {
+                throw new Error('--vault cannot be used with --dry-run, --checkpoint or --resume.');
+            }
+            checkVaultKey(args);
+            const hasRowFilters = args.excludeTable || args.sample || args.dropRows;
+            if (!args.config && args.table === undefined && !hasRowFilters) {
+                throw new Error('Either --config, both -t and -c, or a row filter (--exclude-table, --sample, --drop-rows) must be provided.');
+            }
+            return true;
+        }))
+    .command('scan', 'Scan a dump for values that look like PII (emails, phone numbers, IBANs, card numbers, DNI/NIE) and report their table, column and count, never the values', (command) => command
+        .option('strict', {
+            describe: `Fail with exit code ${EXIT_PII_FOUND} if any value looks like PII, e.g. to check an anonymized dump`,
+            type: 'boolean',
+            default: false,
+        }))
+    .command('detokenize', 'Restore the original values of an anonymized dump from the vault written with --vault: every column of the vault, or those selected with -t and -c or --config', (command) => command
+        .option('o', {
+            alias: 'output',
+            describe: `Path to the output SQL file, or - for stdout (${COMPRESSED_EXTENSIONS} files are compressed)`,
+            type: 'string',
+            default: STDIO,
+        })
+        .option('t', {
+            alias: 'table',
+            describe: 'Name of the table to restore, as in the anonymization config',
+            type: 'string',
+        })
+        .option('c', {
+            alias: 'columns',
+            describe: 'Comma-separated list of the columns to restore, as in the anonymization config',
+            type: 'string',
+            coerce: (arg) => arg.split(',').map(ref => {
+                parseColumnReference(ref);
+                return ref.trim();
+            }),
+        })
+        .option('config', {
+            describe: 'Path to the anonymization config: the columns it anonymizes are restored',
+            type: 'string',
+            conflicts: ['t', 'c'],
+        })
+        .option('vault', {
+            describe: 'Path to the vault file written with --vault',
+            type: 'string',
+            demandOption: true,
+        })
+        .option('vault-key', {
+            describe: 'Key of the vault (can also be set with SQL_ANONYMIZER_VAULT_KEY)',
+            type: 'string',
+        })
+        .check((args) => {
+            if ((args.table === undefined) !== (args.columns === undefined)) {
+                throw new Error('-t and -c must be provided together.');
+            }
+            checkVaultKey(args);
+            return true;
+        }))
     .option('i', {
         alias: 'input',
-        describe: 'Path to the input SQL file',
+        describe: `Path to the input SQL file, or - for stdin (${COMPRESSED_EXTENSIONS} files are decompressed)`,
         type: 'string',
-        demandOption: true,
+        default: STDIO,
     })
-    .option('o', {
-        alias: 'output',
-        describe: 'Path to the output anonymized SQL file',
+    .option('exec', {
+        describe: 'Read the dump from the output of a command instead of a file, e.g. "pg_dump mydb" (replaces -i)',
         type: 'string',
-        demandOption: true,
     })
-    .option('t', {
-        alias: 'table',
-        describe: 'Name of the table to target (e.g., public.products or products)',
-        type: 'string',
-        demandOption: true,
+    .option('dialect', {
+        describe: 'SQL dialect of the dump; auto detects it from the content',
+        choices: ['auto', 'postgres', 'mysql'],
+        default: 'auto',
+    })
+    .option('log-level', {
+        describe: 'Most verbose messages to print; values from the dump are only logged at debug',
+        choices: LOG_LEVELS,
+        default: 'info',
     })
-    .option('c', {
-        alias: 'columns',
-        describe: 'Comma-separated list of 1-based column numbers to anonymize',
+    .option('report', {
+        describe: 'Path to a JSON file to write the run report (or the scan findings) to',
         type: 'string',
-        demandOption: true,
-        coerce: (arg) => {
-            console.log(`DEBUG: Coercing columns argument: "${arg}"`);
-            try {
-                const indices = arg.split(',').map(numStr => {
-                    const num = parseInt(numStr.trim(), 10);
-                    if (isNaN(num) || num < 1) {
-                        throw new Error(`Invalid column number: ${numStr}. Must be a positive integer.`);
-                    }
-                    return num - 1; // Convert to 0-based index
-                });
-                indices.sort((a, b) => a - b);
-                console.log(`DEBUG: Coerced 0-based indices: [${indices.join(', ')}]`);
-                return indices;
-            } catch (e) {
-                 console.error("DEBUG: Error during column coercion:", e.message);
-                 throw e; // Re-throw to let yargs handle it
-            }
+    })
+    .check((args) => {
+        if (args.exec !== undefined && args.input !== STDIO) {
+            throw new Error('--exec and -i cannot be used together.');
         }
+        if (args.exec !== undefined && !args.exec.trim()) {
+            throw new Error('--exec needs a command.');
+        }
+        return true;
     })
     .help()
     .alias('h', 'help')
@@ -59,362 +261,429 @@ const argv = yargs(hideBin(process.argv))
     .argv;
 
 // --- Configuration ---
-const inputFile = path.resolve(argv.input);
-const outputFile = path.resolve(argv.output);
-
-// Ensure output directory exists
-try {
-    const outputDir = path.dirname(outputFile);
-    if (!fs.existsSync(outputDir)) {
-        console.log(`DEBUG: Creating output directory: ${outputDir}`);
-        fs.mkdirSync(outputDir, { recursive: true });
+const inputFile = argv.input === STDIO ? STDIO : path.resolve(argv.input);
+// With --exec the dump is read from the stdout of the command, whose stderr is shown as it runs
+const input = argv.exec !== undefined ? createExecSource(argv.exec, { stderr: process.stderr }) : inputFile;
+// A dry run writes no output at all
+const outputFile = argv.dryRun ? null : (argv.output === undefined || argv.output === STDIO ? argv.output : path.resolve(argv.output));
+
+// Messages go to stderr when stdout carries the dump, the dry-run preview or the scan findings
+const logger = createLogger(argv.logLevel, { out: outputFile === STDIO || argv.dryRun || argv._[0] === 'scan' ? process.stderr : process.stdout });
+
+// A reader that closes stdout early (e.g. `... | head`) just ends the output: exit quietly rather than
+// reporting the broken pipe. Other errors are left to the run writing to stdout, if any.
+process.stdout.on('error', (err) => {
+    if (err.code === 'EPIPE') {
+        process.exit(0);
     }
-} catch (err) {
-    console.error("FATAL: Error creating output directory:", err);
-    process.exit(1);
-}
-const targetTableName = argv.table;
-// Ensure targetTableName is treated as a literal string in the regex
-const escapedTableName = targetTableName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-const columnIndicesToAnonymize = argv.columns; // Already 0-based from coerce
-
-// Regex to match the target INSERT statement lines
-// MODIFIED: Now optionally matches a column list `(...)` between table name and VALUES.
-// Also made it work anywhere in the statement, not just at the beginning
-// Added support for OVERRIDING SYSTEM VALUE and other optional clauses
-const insertRegex = new RegExp(`INSERT\\s+INTO\\s+(?:\\w+\\.)?${escapedTableName}\\s*(?:\\([^)]*\\)\\s*)?(?:(?:OVERRIDING\\s+(?:SYSTEM|USER)\\s+VALUE|DEFAULT\\s+VALUES|[^;()]*?)\\s+)?VALUES\\s*\\(`, 'i');
-console.log(`DEBUG: Using INSERT regex (with optional clauses): ${insertRegex}`);
+    if (process.stdout.listenerCount('error') === 1) {
+        throw err;
+    }
+});
 
-// --- Helper Functions ---
+/**
+ * Describes the input for messages and the report.
+ * @returns {string} - stdin, the path of the input file, or the command given with --exec.
+ */
+function describeInput() {
+    if (typeof input !== 'string') {
+        return input.description;
+    }
+    return input === STDIO ? 'stdin' : input;
+}
 
 /**
- * Generates a random hexadecimal string enclosed in single quotes.
- * @param {number} length - The desired length of the hex string inside the quotes.
- * @returns {string} - A random quoted hex string (e.g., 'a1b2c3d4').
+ * Describes the output for messages and the report.
+ * @returns {string} - stdout, the path of the output file, or none for a dry run.
  */
-function generateRandomQuotedString(length = 16) {
-    const randomHex = crypto.randomBytes(Math.ceil(length / 2)).toString('hex').slice(0, length);
-    const randomString = `'${randomHex}'`;
-    return randomString;
+function describeOutput() {
+    if (outputFile === null) {
+        return 'none (dry run)';
+    }
+    return outputFile === STDIO ? 'stdout' : outputFile;
 }
 
+// --- Anonymization Rules ---
+
 /**
- * Parses a string containing comma-separated SQL values, handling quoted strings
- * and escaped quotes ('').
- * @param {string} valuesString - The string content inside the parentheses of VALUES().
- * @returns {string[]} - An array of parsed values as strings.
+ * Creates the output directory and loads the anonymization rules, exiting on errors.
+ * @returns {{tables: object, anonymizationRules: Map<string, object>}} - The tables as given in the
+ *   config or on the command line, and the normalized rules.
  */
-function parseValues(valuesString) {
-    const values = [];
-    let currentVal = '';
-    let inQuotes = false;
-    let quoteChar = null; // Could be ' or potentially " later
-
-    for (let i = 0; i < valuesString.length; i++) {
-        const char = valuesString[i];
-
-        if (char === "'" && !inQuotes) { // Start quote
-            inQuotes = true;
-            quoteChar = "'";
-            currentVal += char;
-        } else if (char === "'" && inQuotes && quoteChar === "'") { // End quote or escaped quote
-            if (i + 1 < valuesString.length && valuesString[i+1] === "'") { // Escaped quote ('')
-                 currentVal += "''";
-                 i++; // Skip the next quote
-            } else { // End quote
-                inQuotes = false;
-                quoteChar = null;
-                currentVal += char;
-            }
-        } else if (char === ',' && !inQuotes) {
-            values.push(currentVal.trim());
-            currentVal = '';
-        } else {
-            currentVal += char;
+function prepareAnonymization() {
+    // Ensure output directory exists
+    try {
+        const outputDir = outputFile === null || outputFile === STDIO ? null : path.dirname(outputFile);
+        if (outputDir !== null && !fs.existsSync(outputDir)) {
+            logger.debug(`Creating output directory: ${outputDir}`);
+            fs.mkdirSync(outputDir, { recursive: true });
         }
+    } catch (err) {
+        logger.error(`Could not create the output directory: ${err.message}`);
+        process.exit(EXIT_FATAL);
     }
-    // Add the last value
-    if (currentVal.trim() || values.length > 0 || valuesString.trim() === '') { // Handle empty last value, or single value case, or empty values list '()'
-        values.push(currentVal.trim());
+
+    try {
+        let tables = {};
+        if (argv.config) {
+            logger.debug(`Loading config file: ${argv.config}`);
+            tables = loadConfig(path.resolve(argv.config)).tables;
+        } else if (argv.table !== undefined) {
+            tables = { [argv.table]: { columns: argv.columns } };
+        }
+        addRowFilters(tables);
+        return { tables, anonymizationRules: buildRules(tables) };
+    } catch (err) {
+        logger.error(`Could not load the anonymization rules: ${err.message}`);
+        process.exit(EXIT_FATAL);
     }
-    return values;
 }
 
+/**
+ * Adds the row filters given on the command line to the tables of the config or of -t.
+ * @param {object} tables - The tables, as in the config file; modified in place.
+ */
+function addRowFilters(tables) {
+    // The entry of a table, matched case-insensitively as in the rules
+    const tableEntry = (tableName) => {
+        const key = Object.keys(tables).find(name => name.toLowerCase() === tableName.toLowerCase()) ?? tableName;
+        tables[key] = { ...tables[key] };
+        return tables[key];
+    };
+    (argv.excludeTable ?? []).forEach(tableName => {
+        tableEntry(tableName).exclude = true;
+    });
+    (argv.sample ?? []).forEach(({ table, percent }) => {
+        tableEntry(table).sample = percent;
+    });
+    (argv.dropRows ?? []).forEach(({ table, predicate }) => {
+        const entry = tableEntry(table);
+        entry.dropRows = [...(entry.dropRows ?? []), predicate];
+    });
+}
+
+// Secret key for deterministic pseudonymization. The environment variable is preferred, as
+// command-line arguments are visible to other users in the process list.
+const secret = argv.secret || process.env.SQL_ANONYMIZER_SECRET || undefined;
+// Key of the vault, likewise
+const vaultKey = argv.vaultKey || process.env.SQL_ANONYMIZER_VAULT_KEY || undefined;
+
+/**
+ * Opens the vault given with --vault, exiting on errors.
+ * @returns {object|null} - The vault (see openVault), or null without --vault.
+ */
+function openVaultFile() {
+    if (argv.vault === undefined) {
+        return null;
+    }
+    const file = path.resolve(argv.vault);
+    // A new vault is only created when anonymizing
+    if (argv._[0] === 'detokenize' && !fs.existsSync(file)) {
+        logger.error(`Could not open the vault: ${file} does not exist.`);
+        process.exit(EXIT_FATAL);
+    }
+    try {
+        return openVault(file, vaultKey);
+    } catch (err) {
+        logger.error(`Could not open the vault: ${err.message}`);
+        process.exit(EXIT_FATAL);
+    }
+}
 
 // --- Main Processing Logic ---
 async function processFile() {
-    console.log(`\n--- Starting Anonymization ---`);
-    console.log(`Input file: ${inputFile}`);
-    console.log(`Output file: ${outputFile}`);
-    console.log(`Target table: ${targetTableName}`);
-    console.log(`Anonymizing columns (0-based indices): [${columnIndicesToAnonymize.join(', ')}]`);
-    console.log(`------------------------------\n`);
-
-    let writer;
+    const { tables, anonymizationRules } = prepareAnonymization();
+    const vault = openVaultFile();
+
+    logger.info(`\n--- Starting Anonymization ---`);
+    logger.info(`Input: ${describeInput()}`);
+    logger.info(`Output file: ${describeOutput()}`);
+    for (const tableRules of anonymizationRules.values()) {
+        logger.info(`Target table: ${tableRules.name}`);
+        if (tableRules.exclude) {
+            logger.info('  Excluded: all rows are dropped');
+            continue;
+        }
+        if (tableRules.columns.length > 0) {
+            logger.info(`  Anonymizing columns (0-based indices or names): [${tableRules.columns.map(column => `${describeColumn(column)}:${column.json ? 'json' : column.strategy}`).join(', ')}]`);
+        }
+        if (tableRules.sample) {
+            logger.info(`  Keeping ${tableRules.sample.percent}% of the rows, sampled on ${tableRules.sample.key ? tableRules.sample.key.map(describeColumn).join(', ') : 'the primary key'}`);
+        }
+        if (tableRules.dropRows.length > 0) {
+            logger.info(`  Dropping rows where: ${tableRules.dropRows.map(({ operator, operand, ...column }) => `${describeColumn(column)} ${operator} ${operand}`).join(' or ')}`);
+        }
+    }
+    logger.info(`Mode: ${secret ? 'deterministic (keyed with secret)' : (argv.seed ? `random (seed ${argv.seed})` : 'random')}`);
+    if (vault) {
+        logger.info(`Vault: ${vault.file}`);
+    }
+    if (argv.workers > 1) {
+        logger.info(`Worker threads: ${argv.workers}`);
+    }
+    logger.info(`------------------------------\n`);
+
+    const startedAt = new Date();
+    let summary;
     try {
-        console.log(`DEBUG: Creating write stream for: ${outputFile}`);
-        writer = fs.createWriteStream(outputFile, { encoding: 'utf8' });
+        summary = await anonymizeFile(input, outputFile, {
+            tables,
+            dialect: argv.dialect,
+            secret,
+            seed: argv.seed || undefined,
+            logger,
+            workers: argv.workers,
+            preview: argv.dryRun ? argv.previewRows : 0,
+            checkpoint: argv.checkpoint || argv.resume ? `${outputFile}.checkpoint` : undefined,
+            resume: argv.resume,
+            checkpointInterval: Math.round(argv.checkpointInterval * 1024 * 1024),
+            vault,
+        });
+        vault?.save();
     } catch (err) {
-        console.error("FATAL: Error creating write stream:", err);
-        process.exit(1);
+        logger.error(`Could not anonymize ${describeInput()}${outputFile === null ? '' : ` into ${describeOutput()}`}: ${err.message}`);
+        process.exit(EXIT_FATAL);
     }
 
-    // Use readline to handle line endings correctly
-    const rl = readline.createInterface({
-        input: fs.createReadStream(inputFile, { encoding: 'utf8' }),
-        crlfDelay: Infinity // Important for handling Windows line endings (\r\n)
-    });
+    logger.info('\n-------------------- Summary --------------------');
+    logger.info(`Total statements processed: ${summary.processedStatements}`);
+    logger.info(`Statements successfully anonymized: ${summary.anonymizedStatements}`);
+    logger.info(`Statements skipped (non-target/index issue/non-literal): ${summary.skippedStatements}`);
+    logger.info(`Statements with processing errors: ${summary.statementsWithErrors}`);
+    if (summary.droppedRows > 0 || summary.droppedStatements > 0) {
+        logger.info(`Rows dropped: ${summary.droppedRows} (statements left out: ${summary.droppedStatements})`);
+    }
+    logger.info(outputFile === null ? 'Dry run: no output written.' : `Output written to: ${describeOutput()}`);
+    if (vault) {
+        logger.info(`Vault written to: ${vault.file} (${vault.size} token(s))`);
+    }
+    logger.info('-----------------------------------------------');
+    logger.info('Anonymization Process Finished.');
 
-    let processedStatements = 0;
-    let successfullyAnonymizedStatements = 0;
-    let statementsWithErrors = 0;
-    let statementsWithSkippedAnonymization = 0; // Includes non-target statements
-    let currentStatementBuffer = '';
-    let lineNumber = 0;
-
-    // Event handler for each line read
-    rl.on('line', (line) => {
-        lineNumber++;
-        
-        // Log every 100 lines for debugging
-        if (lineNumber % 10000 === 0) {
-            console.log(`DEBUG: Reading line ${lineNumber}`);
+    if (argv.dryRun) {
+        printPreview(anonymizationRules, summary.preview);
+    }
+
+    const violations = argv.strict ? checkStrict(summary) : null;
+
+    if (argv.report) {
+        writeReport(path.resolve(argv.report), summary, startedAt, violations);
+    }
+
+    if (violations?.unanonymized.length || violations?.missingTables.length) {
+        violations.unanonymized.forEach(problem => logger.error(`Strict mode: ${problem}`));
+        violations.missingTables.forEach(table => logger.error(`Strict mode: Table ${table} does not appear in the input.`));
+        process.exit(violations.unanonymized.length ? EXIT_UNANONYMIZED_VALUES : EXIT_MISSING_TABLES);
+    }
+}
+
+/**
+ * Looks for what --strict refuses: targeted values that were kept, and configured tables that
+ * never appeared in the input.
+ * @param {object} summary - The summary returned by anonymizeFile.
+ * @returns {{unanonymized: string[], missingTables: string[]}} - Descriptions of the kept values, and the missing tables.
+ */
+function checkStrict(summary) {
+    const unanonymized = [];
+    const missingTables = [];
+    if (summary.statementsWithErrors > 0) {
+        unanonymized.push(`${summary.statementsWithErrors} statement(s) had processing errors.`);
+    }
+    for (const [tableName, { statements, columns }] of Object.entries(summary.tables)) {
+        if (statements === 0) {
+            missingTables.push(tableName);
         }
-        
-        // Append the line and a standard newline to the buffer
-        // This normalizes line endings in the buffer
-        currentStatementBuffer += line + '\n';
-
-        // Basic check if the line likely ends a statement.
-        if (line.trimEnd().endsWith(';')) {
-            console.log(`DEBUG: Found statement end at line ${lineNumber}: ${line.substring(0, Math.min(50, line.length))}...`);
-            
-            // Check if this is a multi-statement line (multiple semicolons)
-            if (line.indexOf(';') !== line.lastIndexOf(';')) {
-                console.log(`DEBUG: Line ${lineNumber} contains multiple statements. Processing separately.`);
-                
-                // Split the buffer at each semicolon and process each part
-                const parts = currentStatementBuffer.split(';');
-                
-                // Process all but the last part (which is empty)
-                for (let i = 0; i < parts.length - 1; i++) {
-                    const part = parts[i] + ';'; // Add back the semicolon
-                    if (part.trim()) {
-                        processStatement(part, lineNumber);
-                    }
-                }
-                
-                currentStatementBuffer = ''; // Reset buffer
-            } else {
-                processStatement(currentStatementBuffer, lineNumber);
-                currentStatementBuffer = ''; // Reset buffer for the next statement
+        for (const [column, { skipped, failed }] of Object.entries(columns)) {
+            if (skipped > 0 || failed > 0) {
+                unanonymized.push(`Table ${tableName}, column ${column}: ${skipped} value(s) skipped and ${failed} failed.`);
             }
         }
-    });
+    }
+    return { unanonymized, missingTables };
+}
+
+/**
+ * Writes the machine-readable run report. It contains counts only, never values from the dump.
+ * @param {string} reportFile - Path of the JSON report.
+ * @param {object} summary - The summary returned by anonymizeFile.
+ * @param {Date} startedAt - When the run started.
+ * @param {{unanonymized: string[], missingTables: string[]}|null} violations - The --strict findings, if enabled.
+ */
+function writeReport(reportFile, summary, startedAt, violations) {
+    // The preview holds values from the dump: it is printed, never written to the report
+    const { tables: tableCounts, preview, ...counts } = summary;
+    const report = {
+        input: describeInput(),
+        output: outputFile === null ? null : describeOutput(),
+        mode: argv._[0] === 'detokenize' ? 'detokenize' : (secret ? 'deterministic' : 'random'),
+        startedAt: startedAt.toISOString(),
+        finishedAt: new Date().toISOString(),
+        summary: counts,
+        tables: tableCounts,
+    };
+    if (violations) {
+        report.strict = {
+            passed: violations.unanonymized.length === 0 && violations.missingTables.length === 0,
+            ...violations,
+        };
+    }
+    writeJsonFile(reportFile, report);
+}
 
-    // Event handler for the end of the file
-    rl.on('close', () => {
-        // Process any remaining content in the buffer
-        if (currentStatementBuffer.trim()) {
-            console.warn(`WARN: File ended without a semicolon. Processing remaining buffer.`);
-            processStatement(currentStatementBuffer, lineNumber);
+/**
+ * Prints the --dry-run preview: for each table and anonymized column, the original and anonymized
+ * values of the first rows side by side. It is the output of the command, so it is printed whatever the log level.
+ * @param {Map<string, object>} anonymizationRules - The anonymization rules.
+ * @param {object} preview - The preview rows by table (see createAnonymizer).
+ */
+function printPreview(anonymizationRules, preview) {
+    const MAX_WIDTH = 40;
+    // Literals are shown on one line, and long ones are cut
+    const clip = (text) => {
+        const flat = text.replace(/\r/g, '\\r').replace(/\n/g, '\\n').replace(/\t/g, '\\t');
+        return flat.length > MAX_WIDTH ? `${flat.substring(0, MAX_WIDTH - 3)}...` : flat;
+    };
+    const lines = [];
+    for (const tableRules of anonymizationRules.values()) {
+        const rows = preview[tableRules.name] ?? [];
+        if (tableRules.columns.length === 0) {
+            continue;
+        }
+        lines.push(`Table ${tableRules.name}: ${rows.length === 0 ? 'no anonymized rows' : `first ${rows.length} anonymized row(s)`}`);
+        const labels = new Set(rows.flatMap(({ columns }) => Object.keys(columns)));
+        for (const label of labels) {
+            const cells = rows
+                .filter(({ columns }) => columns[label])
+                .map(({ line, columns }) => [String(line), clip(columns[label].before), clip(columns[label].after)]);
+            const widths = [0, 1].map(i => Math.max(['Line', 'Before'][i].length, ...cells.map(cell => cell[i].length)));
+            lines.push(`  Column ${label}`);
+            [['Line', 'Before', 'After'], ...cells].forEach(([line, before, after]) => {
+                lines.push(`    ${line.padEnd(widths[0])}  ${before.padEnd(widths[1])}  ${after}`);
+            });
         }
+        lines.push('');
+    }
+    process.stdout.write(lines.length > 0 ? lines.join('\n') : 'No columns to anonymize.\n');
+}
 
-        // Close the write stream and print summary
-        writer.end(() => {
-            console.log('\n-------------------- Summary --------------------');
-            console.log(`Total statements processed: ${processedStatements}`);
-            console.log(`Statements successfully anonymized: ${successfullyAnonymizedStatements}`);
-            console.log(`Statements skipped (non-target/index issue/non-string): ${statementsWithSkippedAnonymization}`);
-            console.log(`Statements with processing errors: ${statementsWithErrors}`);
-            console.log(`Output written to: ${outputFile}`);
-            console.log('-----------------------------------------------');
-            console.log('Anonymization Process Finished.');
-        });
-    });
+/**
+ * Writes a JSON file, exiting on errors.
+ * @param {string} file - Path of the file.
+ * @param {object} data - The content.
+ */
+function writeJsonFile(file, data) {
+    try {
+        fs.writeFileSync(file, `${JSON.stringify(data, null, 2)}\n`);
+        logger.info(`Report written to: ${file}`);
+    } catch (err) {
+        logger.error(`Could not write the report to ${file}: ${err.message}`);
+        process.exit(EXIT_FATAL);
+    }
+}
 
-    // Error handling for reading the input file
-    rl.on('error', (err) => {
-        console.error(`\nFATAL: Error reading input file: ${inputFile}`, err);
-        if (writer) writer.end();
-        process.exit(1);
-    });
+// --- PII Scan ---
+async function scanDump() {
+    logger.info(`\n--- Scanning for PII ---`);
+    logger.info(`Input: ${describeInput()}`);
+    logger.info(`------------------------------\n`);
 
-    // Error handling for writing the output file
-    writer.on('error', (err) => {
-        console.error(`\nFATAL: Error writing to output file: ${outputFile}`, err);
-        process.exit(1);
-    });
+    let findings;
+    try {
+        findings = await scanFile(input, { dialect: argv.dialect, logger });
+    } catch (err) {
+        logger.error(`Could not scan ${describeInput()}: ${err.message}`);
+        process.exit(EXIT_FATAL);
+    }
 
-    /**
-     * Processes a complete SQL statement (potentially multi-line).
-     * @param {string} statement - The complete SQL statement string.
-     * @param {number} endLineNumber - The line number where the statement ended in the input file.
-     */
-    const processStatement = (statement, endLineNumber) => {
-        processedStatements++;
-        const startLineNumber = endLineNumber - (statement.match(/\n/g)?.length || 0); // Approximate start line
-
-        // ADDED: Log the start of the statement being tested
-        console.log(`DEBUG: Testing statement ending line ${endLineNumber} (start): [${statement.substring(0, 150).replace(/\n/g, '\\n')}...]`);
-
-        // Log progress periodically
-        if (processedStatements % 50 === 0) { // Log more frequently for debugging
-            console.log(`DEBUG: Processing statement count ${processedStatements}...`);
-        }
+    // The findings are the output of the command, so they are printed whatever the log level
+    const lines = [`Scanned ${findings.scannedRows} row(s), ${findings.scannedValues} value(s).`];
+    if (findings.columns.length === 0) {
+        lines.push('No values looking like PII were found.');
+    } else {
+        lines.push('Values looking like PII (table, column, type, count):');
+        findings.columns.forEach(({ table, column, columnName, type, count }) => {
+            lines.push(`  ${table}\t${column}${columnName ? ` (${columnName})` : ''}\t${type}\t${count}`);
+        });
+        lines.push('', 'Suggested config:', yaml.dump({ tables: suggestTables(findings.columns) }).trimEnd());
+    }
+    process.stdout.write(`${lines.join('\n')}\n`);
 
-        // Check if the statement contains our target INSERT pattern
-        // Using search instead of test to find the pattern anywhere in the statement
-        if (statement.search(insertRegex) !== -1) {
-            console.log(`DEBUG: Matched INSERT regex for statement ending near line ${endLineNumber}`);
-            let statementModified = false; // Track if the overall statement was modified
-            let statementHadAnonymizationError = false; // Track errors within value sets
-
-            try {
-                // Find the position of VALUES keyword to split the statement
-                // Use regex to find VALUES reliably, case-insensitive
-                const valuesMatch = statement.match(/\sVALUES\s*\(/i);
-                if (!valuesMatch || typeof valuesMatch.index === 'undefined') {
-                     // If VALUES isn't found, it's not a standard INSERT we can process
-                    //  console.warn(`WARN: Stmt ending line ${endLineNumber}: Matched INSERT pattern but could not find VALUES keyword. Skipping.`);
-                     writer.write(statement);
-                     statementsWithSkippedAnonymization++;
-                     return; // Skip this statement
-                }
-                const valuesIndex = valuesMatch.index;
-
-                // Split the statement into prefix and values part
-                const prefix = statement.substring(0, valuesIndex); // Part before VALUES
-                let valuesPart = statement.substring(valuesIndex); // Part from VALUES onwards
-
-                // Regex to find value sets: accounts for potential newlines between values
-                const valueSetRegex = /\(\s*([^()]*?(?:\([^()]*\)[^()]*?)*?)\s*\)/gs;
-                let valueSetMatch;
-                const newValueSets = []; // Store original or modified value sets (as strings with parentheses)
-                let overallModified = false; // Track if *any* value set in this statement was modified
-
-                while ((valueSetMatch = valueSetRegex.exec(valuesPart)) !== null) {
-                    const fullMatch = valueSetMatch[0]; // The entire match including parentheses and surrounding whitespace
-                    const valuesString = valueSetMatch[1].trim(); // Just the values inside parentheses, trimmed
-
-                    try {
-                        const values = parseValues(valuesString); // Parse the comma-separated values
-
-                        // Check if requested column indices are valid for this specific row
-                        const maxIndex = columnIndicesToAnonymize.length > 0 ? Math.max(...columnIndicesToAnonymize) : -1;
-                        if (maxIndex >= values.length) {
-                            console.warn(`WARN: Stmt ending line ${endLineNumber}, value set: Found ${values.length} values, but needed index ${maxIndex}. Keeping original values.`);
-                            newValueSets.push(fullMatch); // Keep original format
-                            continue; // Skip anonymization for this value set
-                        }
-
-                        // Anonymize the specified columns within this value set
-                        let valueSetModified = false; // Track if this specific set was changed
-                        columnIndicesToAnonymize.forEach(index => {
-                            if (index < values.length) {
-                                const originalValue = values[index];
-                                // SAFETY CHECK: Only anonymize if it looks like a string literal or is NULL.
-                                if (originalValue.startsWith("'") || originalValue.toUpperCase() === 'NULL') {
-                                    const newValue = generateRandomQuotedString();
-                                    // console.log(`DEBUG: Stmt line ${endLineNumber}: Anonymizing index ${index} ('${originalValue}' -> '${newValue}')`);
-                                    values[index] = newValue; // Replace value in the array
-                                    valueSetModified = true;
-                                    overallModified = true; // Mark the whole statement as modified
-                                } else {
-                                     console.log(`DEBUG: Stmt line ${endLineNumber}: Skipping anonymization for non-string/NULL value at index ${index}: ${originalValue}`);
-                                }
-                            } else {
-                                // This case should be caught by maxIndex check, but added for safety
-                                console.warn(`WARN: Stmt line ${endLineNumber}: Index ${index} out of bounds for value set (length ${values.length}).`);
-                            }
-                        });
-
-                        // If this value set was modified, reconstruct it
-                        if (valueSetModified) {
-                             newValueSets.push(`( ${values.join(', ')} )`);
-                        } else {
-                            // Otherwise, keep the original matched string to preserve formatting
-                            newValueSets.push(fullMatch);
-                        }
-                    } catch (error) {
-                        // Error parsing or processing a specific value set
-                        statementHadAnonymizationError = true; // Mark statement as having an error
-                        console.error(`\nERROR: Failed to parse/process value set in statement ending line ${endLineNumber}:`);
-                        console.error(`   -> Value string: ${valuesString}`);
-                        console.error(`   -> Error: ${error.message}`);
-                        newValueSets.push(fullMatch); // Keep original on error for this set
-                    }
-                } // End while loop for value sets
-
-                // If any part of the statement was modified, reconstruct and write
-                if (overallModified) {
-                    // Reconstruct the values part carefully to preserve structure between sets
-                    let reconstructedValuesPart = '';
-                    let lastIndex = 0;
-                    valueSetRegex.lastIndex = 0; // Reset regex index
-                    let matchIndex = 0;
-                    while ((valueSetMatch = valueSetRegex.exec(valuesPart)) !== null) {
-                        // Append content between the last match and this one
-                        reconstructedValuesPart += valuesPart.substring(lastIndex, valueSetMatch.index);
-                        // Append the (potentially modified) value set from our array
-                        reconstructedValuesPart += newValueSets[matchIndex];
-                        lastIndex = valueSetRegex.lastIndex;
-                        matchIndex++;
-                    }
-                    // Append any remaining content after the last value set (e.g., semicolon, comments)
-                    reconstructedValuesPart += valuesPart.substring(lastIndex);
-
-                    const modifiedStatement = `${prefix}${reconstructedValuesPart}`; // Combine prefix and reconstructed values part
-
-                    writer.write(modifiedStatement); // Write the modified statement
-                    successfullyAnonymizedStatements++;
-                    statementModified = true; // Mark statement as modified for summary counting
-                }
+    if (argv.report) {
+        writeJsonFile(path.resolve(argv.report), {
+            input: describeInput(),
+            ...findings,
+            suggestedConfig: { tables: suggestTables(findings.columns) },
+        });
+    }
 
-                // Handle final summary counting
-                if (!statementModified) {
-                    if (statementHadAnonymizationError) {
-                        statementsWithErrors++; // Count statements with value set errors
-                    } else {
-                        statementsWithSkippedAnonymization++; // Count fully skipped statements
-                    }
-                    writer.write(statement); // Write original if no changes or only errors occurred
-                } else if (statementHadAnonymizationError) {
-                    // If it was modified BUT also had errors, count the error too
-                    statementsWithErrors++;
-                }
+    if (argv.strict && findings.columns.length > 0) {
+        logger.error(`Strict mode: ${findings.columns.length} column(s) contain values that look like PII.`);
+        process.exit(EXIT_PII_FOUND);
+    }
+}
 
+// --- Detokenization ---
+async function detokenizeDump() {
+    const { tables } = prepareAnonymization();
+    const vault = openVaultFile();
 
-            } catch (error) {
-                // Error processing the overall INSERT statement (e.g., finding VALUES)
-                statementsWithErrors++;
-                console.error(`\nERROR: Failed to process statement ending line ${endLineNumber}:`);
-                console.error(`   -> Statement (start): ${statement.substring(0, 150)}...`);
-                console.error(`   -> Error: ${error.message}`);
-                writer.write(statement); // Write original statement on error
-            }
-        } else {
-            // Not a target INSERT statement (regex didn't match)
-             console.log(`DEBUG: Did not match INSERT regex for statement ending near line ${endLineNumber}`);
-            writer.write(statement); // Write original statement
-            statementsWithSkippedAnonymization++; // Count non-target statements as skipped
+    logger.info(`\n--- Detokenizing ---`);
+    logger.info(`Input: ${describeInput()}`);
+    logger.info(`Output file: ${describeOutput()}`);
+    logger.info(`Vault: ${vault.file}`);
+    logger.info(`------------------------------\n`);
+
+    const startedAt = new Date();
+    let summary;
+    try {
+        summary = await detokenizeFile(input, outputFile, {
+            tables: argv.config || argv.table !== undefined ? tables : undefined,
+            vault,
+            dialect: argv.dialect,
+            logger,
+        });
+    } catch (err) {
+        logger.error(`Could not detokenize ${describeInput()} into ${describeOutput()}: ${err.message}`);
+        process.exit(EXIT_FATAL);
+    }
+
+    logger.info('\n-------------------- Summary --------------------');
+    for (const [tableName, { columns }] of Object.entries(summary.tables)) {
+        for (const [column, { changed, skipped, failed }] of Object.entries(columns)) {
+            logger.info(`Table ${tableName}, column ${column}: ${changed} value(s) restored, ${skipped} not in the vault${failed > 0 ? `, ${failed} failed` : ''}`);
         }
-    }; // End processStatement function
+    }
+    logger.info(`Output written to: ${describeOutput()}`);
+    logger.info('-----------------------------------------------');
 
-    // --- Global Error Handlers ---
-    process.on('unhandledRejection', (reason, promise) => {
-        console.error('\nFATAL: Unhandled Rejection at:', promise, 'reason:', reason);
-        if (writer && !writer.closed) writer.end();
-        process.exit(1);
-    });
+    if (argv.report) {
+        writeReport(path.resolve(argv.report), summary, startedAt, null);
+    }
+}
 
-    process.on('uncaughtException', (error) => {
-        console.error('\nFATAL: Uncaught Exception:', error);
-        if (writer && !writer.closed) writer.end();
-        process.exit(1);
+/**
+ * Builds a config `tables` object anonymizing every column where PII was found, with the strategy
+ * suggested for its most frequent type of PII.
+ * @param {object[]} columns - The findings, sorted by table, column and decreasing count.
+ * @returns {object} - The suggested tables.
+ */
+function suggestTables(columns) {
+    const tables = {};
+    columns.forEach(({ table, column, columnName, strategy }) => {
+        const tableColumns = (tables[table] ??= { columns: [] }).columns;
+        const ref = columnName ?? column;
+        if (!tableColumns.some(entry => entry.column === ref)) {
+            tableColumns.push({ column: ref, strategy });
+        }
     });
-
-} // End processFile function
+    return tables;
+}
 
 // --- Run the process ---
-processFile();
+if (argv._[0] === 'scan') {
+    scanDump();
+} else if (argv._[0] === 'detokenize') {
+    detokenizeDump();
+} else {
+    processFile();
+}
@@ -0,0 +1,31 @@
+/**
+ * Programmatic API of sql-anonymizer.
+ *
+ *   const { anonymizeFile } = require('@lab34/sql-anonymizer');
+ *   const summary = await anonymizeFile('dump.sql', 'anonymized.sql', {
+ *       tables: { 'public.users': { columns: ['email', { column: 'phone', strategy: 'mask' }] } },
+ *   });
+ */
+
+const { createAnonymizer, anonymizeFile } = require('./lib/anonymizer');
+const { createScanner, scanFile } = require('./lib/scanner');
+const { createExecSource, createRowSource } = require('./lib/sources');
+const { openVault, detokenizeFile } = require('./lib/vault');
+const { loadConfig } = require('./lib/config');
+const { registerStrategy, getStrategyNames } = require('./lib/strategies');
+const { createLogger } = require('./lib/logger');
+
+module.exports = {
+    createAnonymizer,
+    anonymizeFile,
+    createScanner,
+    scanFile,
+    createExecSource,
+    createRowSource,
+    openVault,
+    detokenizeFile,
+    loadConfig,
+    registerStrategy,
+    getStrategyNames,
+    createLogger,
+};
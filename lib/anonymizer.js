@@ -0,0 +1,922 @@
+/**
+ * The anonymizer: a Transform stream that reads an SQL dump and writes it back with the configured
+ * columns anonymized. Everything else is copied byte for byte.
+ *
+ * The input is split into statements and COPY rows on the main thread, which also keeps the state
+ * that depends on what came before (the dialect, the CREATE TABLE columns, the COPY block being
+ * read). The rows of target tables are anonymized by jobs (see jobs.js), run inline or, with the
+ * `workers` option, in worker threads. Their results are written in input order, so the output
+ * does not depend on the number of workers. Tables with unique columns are the exception: their
+ * jobs always run inline, in input order, against the replacements used so far.
+ *
+ * With checkpoints, the anonymizer regularly waits for all the jobs to finish and emits its state
+ * at that point: how far it has read and written, and everything it learned from the input so
+ * far. A new anonymizer created from that state continues with the rest of the input.
+ */
+
+const crypto = require('crypto');
+const { Transform, Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { isBuiltInStrategy } = require('./strategies');
+const { getDialect } = require('./dialects');
+const { maskLiterals, createDumpReader, positionAfter } = require('./tokenizer');
+const { buildRules } = require('./config');
+const { createColumnCatalog, parseInsert, parseCopy } = require('./statements');
+const { resolveRowFilter } = require('./filters');
+const { columnLabel, leadingText, runJob } = require('./jobs');
+const { createWorkerPool } = require('./workers');
+const { createDigestSet } = require('./digests');
+const { openOutput } = require('./io');
+const { openSource } = require('./sources');
+const { openCheckpointedRun } = require('./checkpoint');
+const { LOG_LEVELS, createLogger } = require('./logger');
+
+// Used when no logger is given: the API reports through the summary counts only
+const silentLogger = createLogger('silent');
+
+// With worker threads, jobs are sent in batches of about this many characters of input
+const BATCH_SIZE = 1024 * 1024;
+// Reading the input pauses while this many characters of input wait for jobs to finish
+const MAX_QUEUED_SIZE = 32 * 1024 * 1024;
+// Version of the checkpoint state, which only resumes a run of the same version
+const CHECKPOINT_VERSION = 3;
+// Bytes of input between the checkpoints of anonymizeFile, by default
+const DEFAULT_CHECKPOINT_INTERVAL = 64 * 1024 * 1024;
+
+// --- Helper Functions ---
+
+/**
+ * Finds the rules for the table of an INSERT statement.
+ * A rule for `public.users` only matches that schema, while a rule for `users` matches any schema.
+ * @param {Map<string, object>} rules - The anonymization rules.
+ * @param {string} tableName - The (possibly schema-qualified) table name found in the statement.
+ * @returns {object|undefined} - The rules for the table, if any.
+ */
+function findTableRules(rules, tableName) {
+    const qualifiedName = tableName.toLowerCase();
+    const bareName = qualifiedName.substring(qualifiedName.lastIndexOf('.') + 1);
+    return rules.get(qualifiedName) || rules.get(bareName);
+}
+
+/**
+ * Resolves the column rules of a table to 0-based indices for a specific INSERT statement.
+ * @param {object[]} columnRules - The column rules of the table (by index or by name).
+ * @param {string[]|undefined} columnNames - The normalized column names of the statement, if known.
+ * @param {number} endLineNumber - The line number where the statement ended (for warnings).
+ * @param {{warn: Function}} logger - Where to report columns that cannot be resolved.
+ * @returns {{columnRules: object[]|null, skippedRules: object[]}} - The rules with resolved indices sorted by index
+ *   (null if names could not be resolved at all), and the rules left out, whose values are kept.
+ */
+function resolveColumnRules(columnRules, columnNames, endLineNumber, logger) {
+    const resolved = [];
+    const skippedRules = [];
+    for (const rule of columnRules) {
+        if (rule.name === undefined) {
+            resolved.push(rule);
+            continue;
+        }
+        if (!columnNames) {
+            logger.warn(`Stmt ending line ${endLineNumber}: Cannot resolve column "${rule.name}" without a column list or a preceding CREATE TABLE. Keeping original values.`);
+            return { columnRules: null, skippedRules: columnRules };
+        }
+        const index = columnNames.indexOf(rule.name);
+        if (index === -1) {
+            logger.warn(`Stmt ending line ${endLineNumber}: Column "${rule.name}" not found in [${columnNames.join(', ')}]. Skipping it.`);
+            skippedRules.push(rule);
+            continue;
+        }
+        resolved.push({ ...rule, index });
+    }
+    return { columnRules: resolved.sort((a, b) => a.index - b.index), skippedRules };
+}
+
+/**
+ * Adds what CREATE TABLE says about the columns to resolved column rules: their maximum length
+ * (varchar(n) and the like) and whether they are unique. The maxLength and unique options of a
+ * rule take precedence.
+ * @param {object[]|null} columnRules - The column rules with resolved indices (see resolveColumnRules).
+ * @param {string[]|undefined} columnNames - The normalized column names of the statement, if known.
+ * @param {object|undefined} createTable - The table's CREATE TABLE, if it was found (see parseCreateTable).
+ * @returns {object[]|null} - The column rules, with `maxLength` (null if unknown) and `unique`.
+ */
+function describeColumns(columnRules, columnNames, createTable) {
+    if (!columnRules) {
+        return null;
+    }
+    return columnRules.map((rule) => {
+        const name = columnNames ? columnNames[rule.index] : createTable?.columns[rule.index];
+        const position = createTable && name !== undefined ? createTable.columns.indexOf(name) : -1;
+        return {
+            ...rule,
+            maxLength: rule.maxLength ?? (position !== -1 ? createTable.maxLengths[position] : null),
+            // Replacements within JSON documents are not checked for uniqueness
+            unique: !rule.json && (rule.unique ?? (position !== -1 && createTable.uniqueColumns.includes(name))),
+        };
+    });
+}
+
+/**
+ * Fingerprints the options that decide the output, so that a run is only resumed with the same ones.
+ * @param {object} options - The anonymization options.
+ * @returns {{rules: string, secret: string|null, seed: string|null}} - A hash of the tables and dialect, a keyed
+ *   hash telling whether the secret is the same without revealing it, and the seed.
+ */
+function fingerprintOptions(options) {
+    const rules = crypto.createHash('sha256').update(JSON.stringify([options.tables, options.dialect ?? 'auto'])).digest('hex');
+    const secret = options.secret ? crypto.createHmac('sha256', options.secret).update('sql-anonymizer checkpoint').digest('hex') : null;
+    return { rules, secret, seed: options.seed ?? null };
+}
+
+/**
+ * Checks that tokens are not recorded in a vault by a run with checkpoints, as those recorded before
+ * an interruption would be lost.
+ * @param {{vault?: object, detokenize?: boolean}} options - The anonymization options.
+ * @param {boolean} checkpoints - Whether the run takes or resumes from checkpoints.
+ */
+function checkVaultOptions(options, checkpoints) {
+    if (options.vault && !options.detokenize && checkpoints) {
+        throw new Error('Tokens cannot be recorded in a vault with checkpoints, as those recorded before an interruption would be lost.');
+    }
+}
+
+/**
+ * Checks that the rules only use strategies that worker threads know about.
+ * @param {Map<string, object>} rules - The anonymization rules.
+ */
+function checkWorkerStrategies(rules) {
+    for (const tableRules of rules.values()) {
+        // Columns holding JSON documents have a strategy for each path
+        const custom = tableRules.columns.flatMap(rule => rule.json ?? [rule]).find(rule => !isBuiltInStrategy(rule.strategy));
+        if (custom) {
+            throw new Error(`Strategy ${custom.strategy} (table ${tableRules.name}) was registered at runtime and is not available in worker threads. Use workers: 1 with custom strategies.`);
+        }
+    }
+}
+
+// --- Public API ---
+
+/**
+ * Creates an anonymizer stream. Write the SQL dump to it (as Buffers or strings) and read the
+ * anonymized dump from it. Once the input has ended, the summary counts are available as
+ * `anonymizer.summary` and emitted with a 'summary' event. `summary.tables` holds, for every
+ * configured table, the number of statements found, the number of rows dropped and per-column
+ * counts of values changed, unchanged (NULLs kept NULL by the strategy), skipped and failed.
+ * @param {object} options - The anonymization options.
+ * @param {object} options.tables - The tables and columns to anonymize and the rows to drop, as in the
+ *   config file (e.g., `{ 'public.users': { columns: ['email', { column: 5, strategy: 'redact' }], sample: 10 } }`).
+ * @param {string} [options.dialect='auto'] - The SQL dialect of the dump: 'auto', 'postgres' or 'mysql'.
+ * @param {string} [options.secret] - Secret key for deterministic pseudonymization.
+ * @param {string} [options.seed] - Seed of the random replacements, so that running again on the same dump
+ *   gives the same output. Unlike with a secret, the same value still gets different replacements in
+ *   different rows. Ignored when there is a secret.
+ * @param {{error: Function, warn: Function, info: Function, debug: Function}} [options.logger] - Where to log
+ *   errors, warnings and progress, e.g. `createLogger('warn')` or console. Nothing is logged by default.
+ * @param {number} [options.workers=1] - Number of threads anonymizing rows. With more than one, rows are
+ *   anonymized in worker threads; only built-in strategies can be used then.
+ * @param {number} [options.preview=0] - How many anonymized rows of each table to keep as a preview, in
+ *   `summary.preview`: `{ [table]: [{ line, columns: { [column]: { before, after } } }] }`, with the
+ *   original and replacement literals as written in the dump. Unlike the counts, it contains values from the dump.
+ * @param {number} [options.checkpointInterval=0] - Bytes of input between checkpoints; 0 for none. At each
+ *   checkpoint a 'checkpoint' event is emitted with the state of the run, a plain object holding
+ *   `inputOffset` and `outputOffset`, the bytes of input read and of output written up to that point.
+ * @param {object} [options.resumeFrom] - The state of a checkpoint to continue from. The input written to
+ *   the anonymizer is then the rest of the dump, from `inputOffset` on, and its output follows the first
+ *   `outputOffset` bytes of the previous output. The other options must be the same as in that run.
+ * @param {object} [options.vault] - A vault (see openVault) in which to record every replacement with its
+ *   original value, so that the dump can be detokenized; it is not saved by the anonymizer. It cannot be
+ *   used with checkpoints, as the tokens recorded before an interruption would be lost.
+ * @param {boolean} [options.detokenize=false] - Restore the original values of the columns from the vault
+ *   instead of anonymizing them (see detokenizeFile). Only works with `workers: 1`.
+ * @returns {Transform} - The anonymizer stream.
+ */
+function createAnonymizer(options = {}) {
+    const anonymizationRules = buildRules(options.tables);
+    const dialectName = options.dialect ?? 'auto';
+    if (dialectName !== 'auto') {
+        getDialect(dialectName); // Fail early on an unknown dialect
+    }
+    const { secret, seed } = options;
+    if (seed !== undefined && (typeof seed !== 'string' || seed === '')) {
+        throw new Error(`The "seed" option must be a non-empty string, got: ${seed}`);
+    }
+    const logger = options.logger ?? silentLogger;
+    const workers = options.workers ?? 1;
+    if (!Number.isInteger(workers) || workers < 1) {
+        throw new Error(`The "workers" option must be a positive integer, got: ${workers}`);
+    }
+    if (workers > 1) {
+        checkWorkerStrategies(anonymizationRules);
+    }
+    const previewRows = options.preview ?? 0;
+    if (!Number.isInteger(previewRows) || previewRows < 0) {
+        throw new Error(`The "preview" option must be a non-negative integer, got: ${previewRows}`);
+    }
+    const checkpointInterval = options.checkpointInterval ?? 0;
+    if (!Number.isInteger(checkpointInterval) || checkpointInterval < 0) {
+        throw new Error(`The "checkpointInterval" option must be a non-negative integer, got: ${checkpointInterval}`);
+    }
+    const vault = options.vault ?? null;
+    const detokenize = options.detokenize ?? false;
+    if (detokenize && (!vault || workers > 1)) {
+        throw new Error('Detokenizing needs a vault, and runs with workers: 1.');
+    }
+    checkVaultOptions(options, checkpointInterval > 0 || Boolean(options.resumeFrom));
+    if (detokenize) {
+        // Jobs run inline, so the column rules can carry the tokens of their column
+        for (const tableRules of anonymizationRules.values()) {
+            tableRules.columns.forEach((rule) => {
+                rule.restore = vault.lookup(tableRules.name.toLowerCase(), columnLabel(rule)) ?? new Map();
+            });
+        }
+    }
+    const fingerprint = fingerprintOptions(options);
+    const resumeFrom = options.resumeFrom ?? null;
+    if (resumeFrom) {
+        if (resumeFrom.version !== CHECKPOINT_VERSION) {
+            throw new Error(`Cannot resume from a checkpoint of version ${resumeFrom.version}, only ${CHECKPOINT_VERSION}.`);
+        }
+        if (resumeFrom.fingerprint.rules !== fingerprint.rules) {
+            throw new Error('Cannot resume: the tables or the dialect differ from those of the checkpoint.');
+        }
+        if (resumeFrom.fingerprint.secret !== fingerprint.secret) {
+            throw new Error('Cannot resume: the secret differs from that of the checkpoint.');
+        }
+        if ((resumeFrom.fingerprint.seed ?? null) !== fingerprint.seed) {
+            throw new Error('Cannot resume: the seed differs from that of the checkpoint.');
+        }
+    }
+    // Workers record the messages of the jobs at the level of the logger, or all of them for other loggers
+    const pool = workers > 1 ? createWorkerPool(workers, LOG_LEVELS.includes(logger.level) ? logger.level : 'debug') : null;
+
+    let processedStatements = 0;
+    let successfullyAnonymizedStatements = 0;
+    let statementsWithErrors = 0;
+    let statementsWithSkippedAnonymization = 0; // Includes non-target statements
+    let droppedStatements = 0; // Statements and COPY blocks left out because all their rows were dropped
+    let droppedRows = 0;
+    // Per-table and per-column counts of values changed, unchanged, skipped and failed, for the run report
+    const tableStats = {};
+    for (const tableRules of anonymizationRules.values()) {
+        const columns = {};
+        tableRules.columns.forEach(rule => {
+            columns[columnLabel(rule)] = { changed: 0, unchanged: 0, skipped: 0, failed: 0 };
+        });
+        tableStats[tableRules.name] = { statements: 0, droppedRows: 0, columns };
+    }
+    // The first anonymized rows of each table, with their original values, when a preview is asked for
+    const preview = {};
+    const columnCatalog = createColumnCatalog(resumeFrom?.tables); // Column names learned from CREATE TABLE statements
+    // Values used so far in unique columns: table name -> column label -> digests of the decoded values
+    const uniqueValues = new Map();
+    const warnedColumns = new Set(); // Warnings already given about the replacements of columns: "table\0label\0message"
+    let copyState = null; // Set while reading the data rows of a COPY ... FROM stdin block
+    // Splits the input into statements and COPY rows, keeping every byte (including line endings). With
+    // --dialect auto, the dialect of the dump is detected from the first chunks that give a hint
+    const reader = createDumpReader({
+        dialect: resumeFrom?.dialect ? getDialect(resumeFrom.dialect) : (dialectName === 'auto' ? null : getDialect(dialectName)),
+        start: resumeFrom?.position,
+        logger,
+    });
+
+    // Where the run stands after the last item processed, for checkpoints
+    let inputOffset = resumeFrom?.inputOffset ?? 0; // Bytes of input processed
+    let outputOffset = resumeFrom?.outputOffset ?? 0; // Bytes of output pushed
+    let position = resumeFrom?.position ?? { line: 1, inCopy: false }; // See positionAfter
+    let lastCheckpoint = inputOffset;
+    let checkpoints = checkpointInterval > 0;
+    let checkpointWaiting = null; // Callback of the transform waiting for the queue to be empty to take a checkpoint
+
+    // Output waiting, in input order, for a job running in a worker thread: entries are applied
+    // (written and counted) once they and all the entries before them are ready
+    const queue = []; // { ready: boolean, apply: Function, size: number }
+    let queuedSize = 0; // Characters of input held by the queue
+    let batch = []; // Jobs not sent to the pool yet: { job, entry, onResult }
+    let batchSize = 0;
+    let resumeInput = null; // Callback of the transform paused by backpressure
+    let queueDrained = null; // Callback waiting for the queue to be empty, at the end of the input
+
+    if (resumeFrom) {
+        processedStatements = resumeFrom.counters.processedStatements;
+        successfullyAnonymizedStatements = resumeFrom.counters.anonymizedStatements;
+        statementsWithSkippedAnonymization = resumeFrom.counters.skippedStatements;
+        statementsWithErrors = resumeFrom.counters.statementsWithErrors;
+        droppedStatements = resumeFrom.counters.droppedStatements;
+        droppedRows = resumeFrom.counters.droppedRows;
+        Object.assign(tableStats, resumeFrom.tableStats);
+        for (const [tableName, columns] of Object.entries(resumeFrom.uniqueValues)) {
+            uniqueValues.set(tableName, new Map(Object.entries(columns).map(([label, digests]) => [label, createDigestSet(digests)])));
+        }
+    }
+
+    /**
+     * Pushes a piece of the anonymized output, counting its bytes for checkpoints.
+     * @param {string} text - The text.
+     */
+    const output = (text) => {
+        if (checkpoints) {
+            outputOffset += Buffer.byteLength(text);
+        }
+        anonymizer.push(text);
+    };
+
+    /**
+     * Emits a checkpoint. Every job must be done, so that the output and the counts match the input processed.
+     */
+    const takeCheckpoint = () => {
+        lastCheckpoint = inputOffset;
+        const uniqueState = {};
+        uniqueValues.forEach((columns, tableName) => {
+            uniqueState[tableName] = {};
+            columns.forEach((values, label) => {
+                uniqueState[tableName][label] = values.serialize();
+            });
+        });
+        const state = {
+            version: CHECKPOINT_VERSION,
+            fingerprint,
+            inputOffset,
+            outputOffset,
+            position,
+            dialect: reader.dialect?.name ?? null,
+            tables: columnCatalog.learned(),
+            copy: copyState && { statement: copyState.statement, endLine: copyState.endLine, modified: copyState.modified, hadError: copyState.hadError },
+            counters: {
+                processedStatements,
+                anonymizedStatements: successfullyAnonymizedStatements,
+                skippedStatements: statementsWithSkippedAnonymization,
+                statementsWithErrors,
+                droppedStatements,
+                droppedRows,
+            },
+            tableStats: JSON.parse(JSON.stringify(tableStats)),
+            uniqueValues: uniqueState,
+        };
+        logger.debug(`Checkpoint at byte ${inputOffset} of the input (line ${position.line})`);
+        anonymizer.emit('checkpoint', state);
+    };
+
+    /**
+     * Counts one value of each of the given columns in the run report.
+     * @param {object} tableRules - The rules of the table.
+     * @param {object[]} rules - The column rules.
+     * @param {string} outcome - 'changed', 'unchanged', 'skipped' or 'failed'.
+     */
+    const countValues = (tableRules, rules, outcome) => {
+        rules.forEach(rule => {
+            tableStats[tableRules.name].columns[columnLabel(rule)][outcome]++;
+        });
+    };
+
+    /**
+     * Counts rows dropped from a table.
+     * @param {object} tableRules - The rules of the table.
+     * @param {number} count - The number of rows.
+     */
+    const countDroppedRows = (tableRules, count) => {
+        tableStats[tableRules.name].droppedRows += count;
+        droppedRows += count;
+    };
+
+    /**
+     * Returns how many preview rows a new job of a table should keep: none once the table has enough.
+     * @param {object} tableRules - The rules of the table.
+     * @returns {number} - The number of rows.
+     */
+    const previewRowsFor = (tableRules) => ((preview[tableRules.name]?.length ?? 0) < previewRows ? previewRows : 0);
+
+    /**
+     * Adds the counts of a job to the run report, keeps its preview rows, records its tokens in the
+     * vault and prints the messages it recorded in a worker thread. Gives each warning about the
+     * replacements of a column once, e.g. that its pseudonyms were altered (see anonymizeValue).
+     * @param {object} tableRules - The rules of the table.
+     * @param {{droppedRows: number, columns: object, preview: object[], tokens: Array[], warnings: string[][], logs?: string[][]}} result - The result of the job.
+     */
+    const applyJobResult = (tableRules, result) => {
+        result.logs?.forEach(([level, message]) => logger[level](message));
+        result.tokens.forEach(([label, replacement, original]) => vault.record(tableRules.name.toLowerCase(), label, replacement, original));
+        result.warnings.forEach(([label, message]) => {
+            const key = `${tableRules.name}\0${label}\0${message}`;
+            if (!warnedColumns.has(key)) {
+                warnedColumns.add(key);
+                logger.warn(`Column ${label} of ${tableRules.name}: ${message}`);
+            }
+        });
+        if (result.preview.length > 0) {
+            const rows = (preview[tableRules.name] ??= []);
+            rows.push(...result.preview.slice(0, previewRows - rows.length));
+        }
+        countDroppedRows(tableRules, result.droppedRows);
+        for (const [label, counts] of Object.entries(result.columns)) {
+            const columnStats = tableStats[tableRules.name].columns[label];
+            columnStats.changed += counts.changed;
+            columnStats.unchanged += counts.unchanged;
+            columnStats.skipped += counts.skipped;
+            columnStats.failed += counts.failed;
+        }
+    };
+
+    /**
+     * Applies the entries at the head of the queue that are ready, and resumes the input once the
+     * queue is small enough.
+     */
+    const drainQueue = () => {
+        while (queue.length > 0 && queue[0].ready) {
+            const entry = queue.shift();
+            queuedSize -= entry.size;
+            entry.apply();
+        }
+        if (checkpointWaiting && queue.length === 0) {
+            const callback = checkpointWaiting;
+            checkpointWaiting = null;
+            takeCheckpoint();
+            callback();
+        }
+        if (resumeInput && queuedSize <= MAX_QUEUED_SIZE) {
+            const callback = resumeInput;
+            resumeInput = null;
+            callback();
+        }
+        if (queueDrained && queue.length === 0) {
+            const callback = queueDrained;
+            queueDrained = null;
+            callback();
+        }
+    };
+
+    /**
+     * Applies a piece of output now, or after the jobs queued before it.
+     * @param {Function} apply - Writes the output and updates the counts.
+     * @param {number} [size=0] - Characters of input it holds, for backpressure.
+     */
+    const enqueue = (apply, size = 0) => {
+        if (queue.length === 0) {
+            apply();
+        } else {
+            queue.push({ ready: true, apply, size });
+            queuedSize += size;
+        }
+    };
+
+    /**
+     * Returns the values used so far in the unique columns of a table.
+     * @param {object} tableRules - The rules of the table.
+     * @param {object[]|null} columnRules - The column rules of the statement or COPY block (see describeColumns).
+     * @returns {Map<string, object>|null} - The digest sets by column label (see createDigestSet), or null if no column is unique.
+     */
+    const uniqueValuesOf = (tableRules, columnRules) => {
+        if (!columnRules?.some(rule => rule.unique)) {
+            return null;
+        }
+        if (!uniqueValues.has(tableRules.name)) {
+            uniqueValues.set(tableRules.name, new Map());
+        }
+        return uniqueValues.get(tableRules.name);
+    };
+
+    /**
+     * Runs a job: inline, or in a worker thread when there is a pool. Its result is applied in input order.
+     * Jobs with unique columns run inline, once the jobs before them are done, so that every
+     * replacement is checked against all the ones used before it.
+     * @param {object} job - The job (see runJob).
+     * @param {number} size - Characters of input in the job, for batching and backpressure.
+     * @param {function(object): void} onResult - Writes the result of the job and updates the counts.
+     * @param {Map<string, object>|null} [unique=null] - The values used in unique columns (see uniqueValuesOf).
+     * @returns {object|null} - The queue entry of the job, which can still grow (see addCopyRow), or null when run inline.
+     */
+    const submitJob = (job, size, onResult, unique = null) => {
+        if (!pool || unique) {
+            enqueue(() => onResult(runJob(job, logger, unique)), size);
+            return null;
+        }
+        const entry = { ready: false, apply: null, size };
+        queue.push(entry);
+        queuedSize += size;
+        batch.push({ job, entry, onResult });
+        batchSize += size;
+        if (batchSize >= BATCH_SIZE) {
+            sendBatch();
+        }
+        return entry;
+    };
+
+    /**
+     * Sends the jobs collected so far to the worker pool.
+     */
+    const sendBatch = () => {
+        if (batch.length === 0) {
+            return;
+        }
+        const sent = batch;
+        batch = [];
+        batchSize = 0;
+        if (copyState) {
+            copyState.job = null; // Later rows of the block go to a new job
+        }
+        pool.run(sent.map(({ job }) => job)).then((results) => {
+            results.forEach((result, i) => {
+                const { entry, onResult } = sent[i];
+                entry.apply = () => onResult(result);
+                entry.ready = true;
+            });
+            drainQueue();
+        }, (err) => anonymizer.destroy(err));
+    };
+
+    /**
+     * Processes a complete SQL statement (potentially multi-line).
+     * @param {string} statement - The complete SQL statement string.
+     * @param {number} endLineNumber - The line number where the statement ended in the input file.
+     */
+    const processStatement = (statement, endLineNumber) => {
+        processedStatements++;
+        logger.debug(`Testing statement ending line ${endLineNumber} (start): [${statement.substring(0, 150).replace(/\n/g, '\\n')}...]`);
+
+        // Log progress every 50 statements
+        if (processedStatements % 50 === 0) {
+            logger.debug(`Processing statement count ${processedStatements}...`);
+        }
+
+        // Remember the column order of every table so columns can be targeted by name
+        const createTable = columnCatalog.learn(statement, reader.dialect || getDialect('postgres'));
+        if (createTable) {
+            logger.debug(`Learned columns of table ${createTable.tableName}: [${createTable.columns.join(', ')}]`);
+        }
+
+        // COPY ... FROM stdin: the statement is written as is and its data rows are processed line by line
+        const copy = parseCopy(statement);
+        if (copy) {
+            startCopyBlock(statement, copy, endLineNumber);
+            return;
+        }
+
+        // Check if the statement contains an INSERT for one of the target tables
+        const insert = parseInsert(statement, reader.dialect || getDialect('postgres'));
+        const insertTableName = insert?.tableName;
+        const tableRules = insert ? findTableRules(anonymizationRules, insertTableName) : undefined;
+        if (tableRules) {
+            tableStats[tableRules.name].statements++;
+            logger.debug(`Matched INSERT regex for table ${insertTableName} in statement ending near line ${endLineNumber}`);
+            if (!reader.dialect) {
+                // Nothing so far hinted at the dialect: fall back to PostgreSQL
+                logger.debug(`No dialect detected before line ${endLineNumber}, assuming postgres`);
+                reader.setDialect(getDialect('postgres'));
+            }
+            // Column names come from the INSERT's own column list, or from the table's CREATE TABLE
+            const columnNames = insert.columnNames ?? columnCatalog.get(insertTableName);
+            const createTable = columnCatalog.getTable(insertTableName);
+            const resolved = resolveColumnRules(tableRules.columns, columnNames, endLineNumber, logger);
+            const columnRules = describeColumns(resolved.columnRules, columnNames, createTable);
+            const { skippedRules } = resolved;
+            const rowFilter = tableRules.exclude
+                ? null
+                : resolveRowFilter(tableRules, columnNames, createTable?.primaryKey ?? [], endLineNumber, logger);
+            const job = {
+                type: 'insert',
+                statement,
+                endLineNumber,
+                statementNumber: processedStatements,
+                dialect: reader.dialect.name,
+                tableName: insertTableName,
+                exclude: tableRules.exclude,
+                columnRules,
+                skippedRules,
+                rowFilter,
+                secret,
+                seed,
+                preview: previewRowsFor(tableRules),
+                vault: vault !== null && !detokenize,
+            };
+            submitJob(job, statement.length, (result) => {
+                applyJobResult(tableRules, result);
+                output(result.text);
+                // Handle final summary counting
+                if (result.dropped) {
+                    droppedStatements++;
+                } else if (result.modified) {
+                    successfullyAnonymizedStatements++;
+                } else if (!result.hadError) {
+                    statementsWithSkippedAnonymization++; // Count fully skipped statements
+                }
+                if (result.hadError) {
+                    statementsWithErrors++; // Count statements with value set errors, modified or not
+                }
+            }, tableRules.exclude ? null : uniqueValuesOf(tableRules, columnRules));
+        } else {
+            // Not a target INSERT statement (regex didn't match or table has no rules)
+            logger.debug(`Did not match INSERT regex for statement ending near line ${endLineNumber}`);
+            write(statement); // Write original statement
+            statementsWithSkippedAnonymization++; // Count non-target statements as skipped
+        }
+    }; // End processStatement function
+
+    /**
+     * Starts a COPY ... FROM stdin block: writes the COPY statement and prepares the column rules
+     * and the row filter used for the data rows that follow. The block of an excluded table is
+     * dropped as a whole.
+     * @param {string} statement - The complete COPY statement.
+     * @param {{tableName: string, columnNames: string[]|undefined, options: string}} copy - The parsed statement (see parseCopy).
+     * @param {number} endLineNumber - The line number where the statement ended in the input file.
+     * @param {boolean} [resumed=false] - Whether the block was started before the checkpoint the run resumes
+     *   from, in which case the statement was already written and counted.
+     */
+    const startCopyBlock = (statement, copy, endLineNumber, resumed = false) => {
+        copyState = { statement, endLine: endLineNumber, tableRules: null, columnRules: null, skippedRules: [], rowFilter: null, uniqueValues: null, excluded: false, modified: false, hadError: false, job: null };
+        const writeStatement = (text) => {
+            if (!resumed) write(text);
+        };
+
+        const { tableName } = copy;
+        const tableRules = findTableRules(anonymizationRules, tableName);
+        if (!tableRules) {
+            logger.debug(`COPY block for non-target table ${tableName} ending near line ${endLineNumber}`);
+            writeStatement(statement);
+            return;
+        }
+        if (!resumed) {
+            tableStats[tableRules.name].statements++;
+        }
+        copyState.tableRules = tableRules;
+        if (tableRules.exclude) {
+            logger.debug(`Dropping COPY block of excluded table ${tableName} ending near line ${endLineNumber}`);
+            copyState.excluded = true;
+            writeStatement(leadingText(statement, reader.dialect || getDialect('postgres')));
+            return;
+        }
+        writeStatement(statement);
+        if (/\b(?:CSV|BINARY)\b/i.test(copy.options)) {
+            copyState.skippedRules = tableRules.columns;
+            logger.warn(`Stmt ending line ${endLineNumber}: Only the text format of COPY is supported. Keeping original rows of ${tableName}.`);
+            return;
+        }
+
+        logger.debug(`Matched COPY statement for table ${tableName} ending near line ${endLineNumber}`);
+        const columnNames = copy.columnNames ?? columnCatalog.get(tableName);
+        const createTable = columnCatalog.getTable(tableName);
+        const { columnRules, skippedRules } = resolveColumnRules(tableRules.columns, columnNames, endLineNumber, logger);
+        copyState.columnRules = describeColumns(columnRules, columnNames, createTable);
+        copyState.skippedRules = skippedRules;
+        copyState.rowFilter = resolveRowFilter(tableRules, columnNames, createTable?.primaryKey ?? [], endLineNumber, logger);
+        copyState.uniqueValues = uniqueValuesOf(tableRules, copyState.columnRules);
+    };
+
+    /**
+     * Processes one line of a COPY ... FROM stdin block: anonymizes or drops a data row, or ends the block.
+     * @param {string} line - The line, without its line ending.
+     * @param {number} lineNumber - The line number in the input file.
+     * @param {string} ending - The line ending (\n, \r\n, or empty on the last line), written back as is.
+     */
+    const processCopyLine = (line, lineNumber, ending) => {
+        if (!copyState) {
+            write(line + ending); // Rows of a COPY block whose statement could not be parsed
+            return;
+        }
+
+        if (copyState.excluded) {
+            if (line === '\\.') {
+                droppedStatements++;
+                copyState = null;
+            } else {
+                countDroppedRows(copyState.tableRules, 1);
+            }
+            return;
+        }
+
+        if (line === '\\.') {
+            write(line + ending);
+            // Count the whole block like a single statement, as for INSERTs, once all its rows are done
+            const block = copyState;
+            enqueue(() => {
+                if (block.modified) {
+                    successfullyAnonymizedStatements++;
+                    if (block.hadError) statementsWithErrors++;
+                } else if (block.hadError) {
+                    statementsWithErrors++;
+                } else {
+                    statementsWithSkippedAnonymization++;
+                }
+            });
+            copyState = null;
+            return;
+        }
+
+        if (!copyState.tableRules) {
+            write(line + ending); // Row of a non-target table
+            return;
+        }
+        addCopyRow({ text: line, ending, line: lineNumber });
+    };
+
+    /**
+     * Hands a row of the current COPY block to a job. With worker threads, consecutive rows share a job,
+     * unless the table has unique columns.
+     * @param {{text: string, ending: string, line: number}} row - The row.
+     */
+    const addCopyRow = (row) => {
+        const block = copyState;
+        const size = row.text.length;
+        if (block.job) {
+            block.job.rows.push(row);
+            block.job.entry.size += size;
+            queuedSize += size;
+            batchSize += size;
+            if (batchSize >= BATCH_SIZE) {
+                sendBatch();
+            }
+            return;
+        }
+        const { tableRules, columnRules, skippedRules, rowFilter } = block;
+        const rows = [row];
+        const job = { type: 'copy', rows, columnRules, skippedRules, rowFilter, secret, seed, preview: previewRowsFor(tableRules), vault: vault !== null && !detokenize };
+        const entry = submitJob(job, size, (result) => {
+            applyJobResult(tableRules, result);
+            output(result.text);
+            if (result.modified) block.modified = true;
+            if (result.hadError) block.hadError = true;
+        }, block.uniqueValues);
+        // The job may have been sent already if it filled a batch
+        if (entry && batch.length > 0 && batch[batch.length - 1].entry === entry) {
+            block.job = { rows, entry };
+        }
+    };
+
+    /**
+     * Dispatches an item of the statement splitter.
+     * @param {object} item - A statement, COPY row, COPY terminator or trailing text (see createStatementSplitter).
+     */
+    const processItem = (item) => {
+        if (checkpoints && item.type !== 'trailing') {
+            // Offsets are counted on the decoded text, which only matches the input if it is valid UTF-8
+            if (item.text.includes('\uFFFD')) {
+                logger.warn(`Line ${item.line ?? item.endLine}: The input is not valid UTF-8, or contains U+FFFD. No more checkpoints are taken.`);
+                checkpoints = false;
+            }
+            inputOffset += Buffer.byteLength(item.text) + (item.ending ? Buffer.byteLength(item.ending) : 0);
+            position = positionAfter(item);
+        }
+        switch (item.type) {
+            case 'statement':
+                processStatement(item.text, item.endLine);
+                break;
+            case 'copy-row':
+            case 'copy-end':
+                processCopyLine(item.text, item.line, item.ending);
+                break;
+            default:
+                // Trailing text after the last statement: whitespace and comments, or an unterminated statement
+                if (maskLiterals(item.text, reader.dialect || getDialect('postgres')).trim()) {
+                    logger.warn(`Input ended without a semicolon. Processing remaining buffer.`);
+                    processStatement(item.text, item.endLine);
+                } else {
+                    write(item.text);
+                }
+        }
+    };
+
+    const anonymizer = new Transform({
+        transform(chunk, encoding, callback) {
+            try {
+                reader.push(chunk).forEach(processItem);
+                if (pool) sendBatch();
+            } catch (err) {
+                callback(err);
+                return;
+            }
+            // Checkpoint, once the jobs of the input processed so far are done
+            if (checkpoints && inputOffset - lastCheckpoint >= checkpointInterval) {
+                if (queue.length === 0) {
+                    takeCheckpoint();
+                } else {
+                    checkpointWaiting = callback;
+                    return;
+                }
+            }
+            // Backpressure: read more of the input once the workers have caught up
+            if (queuedSize > MAX_QUEUED_SIZE) {
+                resumeInput = callback;
+            } else {
+                callback();
+            }
+        },
+        flush(callback) {
+            try {
+                reader.end().forEach(processItem);
+                if (pool) sendBatch();
+                if (copyState) {
+                    logger.warn(`Input ended inside a COPY block (missing \\. terminator).`);
+                }
+            } catch (err) {
+                callback(err);
+                return;
+            }
+            // The summary is complete once every job has been applied
+            const finish = () => {
+                anonymizer.summary = {
+                    processedStatements,
+                    anonymizedStatements: successfullyAnonymizedStatements,
+                    skippedStatements: statementsWithSkippedAnonymization,
+                    statementsWithErrors,
+                    droppedStatements,
+                    droppedRows,
+                    tables: tableStats,
+                };
+                if (previewRows > 0) {
+                    anonymizer.summary.preview = preview;
+                }
+                anonymizer.emit('summary', anonymizer.summary);
+                if (pool) {
+                    pool.close().then(() => callback(), callback);
+                } else {
+                    callback();
+                }
+            };
+            if (queue.length === 0) {
+                finish();
+            } else {
+                queueDrained = finish;
+            }
+        },
+        destroy(err, callback) {
+            if (pool) {
+                pool.close().then(() => callback(err), () => callback(err));
+            } else {
+                callback(err);
+            }
+        },
+    });
+
+    /**
+     * Writes a piece of the anonymized output, after the output of the jobs still running.
+     * @param {string} text - The text to write.
+     */
+    function write(text) {
+        enqueue(() => output(text), text.length);
+    }
+
+    // Back inside the COPY block the checkpoint was taken in
+    if (resumeFrom?.copy) {
+        const { statement, endLine, modified, hadError } = resumeFrom.copy;
+        startCopyBlock(statement, parseCopy(statement), endLine, true);
+        Object.assign(copyState, { modified, hadError });
+    }
+
+    return anonymizer;
+}
+
+/**
+ * Anonymizes a whole dump.
+ * Paths ending in .gz, .br or .zst are (de)compressed on the fly; compressed input is also
+ * recognized by its first bytes. `-` means stdin for the input and stdout for the output.
+ * With the `checkpoint` option, the state of the run is saved to that file at regular intervals, and
+ * with `resume` a run interrupted after a checkpoint continues from it, keeping the output written
+ * until then. Both the input and the output must be files, and the output cannot be compressed.
+ * @param {string|Readable|{open: Function}} input - Path of the input SQL file, `-`, a readable stream, or a
+ *   source adapter (see sources.js).
+ * @param {string|Writable|null} output - Path of the output SQL file, `-`, a writable stream, or null to
+ *   discard the output (e.g. to only get the summary and the preview).
+ * @param {object} options - The anonymization options (see createAnonymizer), and:
+ * @param {string} [options.checkpoint] - Path of the checkpoint file, removed once the run has completed.
+ * @param {boolean} [options.resume=false] - Whether to continue from the checkpoint file, if there is one.
+ * @param {number} [options.checkpointInterval=67108864] - Bytes of input between checkpoints (64 MiB).
+ * @returns {Promise<object>} - The summary counts (see createAnonymizer), once the output has been completely written.
+ *   After a resumed run they cover the whole dump.
+ */
+async function anonymizeFile(input, output, options = {}) {
+    if (options.checkpoint) {
+        checkVaultOptions(options, true);
+        const run = await openCheckpointedRun(input, output, options, options.logger ?? silentLogger);
+        let anonymizer;
+        let source;
+        try {
+            anonymizer = createAnonymizer({
+                ...options,
+                checkpointInterval: options.checkpointInterval ?? DEFAULT_CHECKPOINT_INTERVAL,
+                resumeFrom: run.state,
+            });
+            source = await run.openInput();
+        } catch (err) {
+            run.output.destroy();
+            throw err;
+        }
+        anonymizer.on('checkpoint', run.save);
+        await pipeline(source, anonymizer, run.output);
+        run.remove();
+        return anonymizer.summary;
+    }
+
+    // Without a checkpoint file, the checkpointInterval option has no use
+    const anonymizer = createAnonymizer({ ...options, checkpointInterval: 0 });
+    const source = await openSource(input);
+    let destinations;
+    if (output === null) {
+        destinations = [new Writable({ write: (chunk, encoding, callback) => callback() })];
+    } else {
+        destinations = typeof output === 'string' ? openOutput(output).streams : [output];
+    }
+    await pipeline(source, anonymizer, ...destinations);
+    return anonymizer.summary;
+}
+
+module.exports = {
+    createAnonymizer,
+    anonymizeFile,
+};
@@ -0,0 +1,165 @@
+/**
+ * Checkpoints of a run anonymizing a file into another, so that an interrupted run can be resumed.
+ *
+ * The anonymizer emits its state at regular intervals (see createAnonymizer). A checkpoint is only
+ * saved once the output it accounts for is on disk, so the output file can always be cut back to
+ * the length the checkpoint records and continued from there, reading the input from the offset
+ * it records. The checkpoint file is replaced atomically and removed when the run completes.
+ *
+ * A checkpoint holds counts, the tables learned from the dump and the digests of the values used in
+ * unique columns (see digests.js), but no original values.
+ */
+
+const fs = require('fs');
+const { Writable } = require('stream');
+const { STDIO, compressionFromExtension, openInput } = require('./io');
+
+/**
+ * Describes an input file, to recognize it when resuming.
+ * @param {string} input - The path of the input file.
+ * @returns {{size: number, mtimeMs: number}} - Its size and modification time.
+ */
+function describeInput(input) {
+    const { size, mtimeMs } = fs.statSync(input);
+    return { size, mtimeMs };
+}
+
+/**
+ * Reads a checkpoint file.
+ * @param {string} file - The path of the checkpoint file.
+ * @returns {object|null} - The checkpoint, or null if there is none.
+ */
+function readCheckpoint(file) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (err) {
+        if (err.code === 'ENOENT') {
+            return null;
+        }
+        throw err;
+    }
+    try {
+        return JSON.parse(text);
+    } catch (err) {
+        throw new Error(`Checkpoint ${file} is not valid JSON: ${err.message}`);
+    }
+}
+
+/**
+ * Opens the input and output of a run with checkpoints, resuming from the checkpoint file if asked
+ * to and if there is one.
+ * @param {string} input - The path of the input file (compressed or not).
+ * @param {string} output - The path of the output file, which cannot be compressed.
+ * @param {object} options - The checkpoint options.
+ * @param {string} options.checkpoint - The path of the checkpoint file.
+ * @param {boolean} [options.resume=false] - Whether to continue from the checkpoint file.
+ * @param {{info: Function}} logger - Where to report what is resumed.
+ * @returns {Promise<{state: object|null, openInput: function(): Promise<import('stream').Readable>, output: Writable, save: Function, remove: Function}>} -
+ *   The anonymizer state to resume from (null when starting from the beginning), a function opening the
+ *   input stream from there on, once the state is known to be usable, the output stream, a function to call
+ *   with every checkpoint state, and a function removing the checkpoint file once the run has completed.
+ */
+async function openCheckpointedRun(input, output, options, logger) {
+    const checkpointFile = options.checkpoint;
+    if (typeof input !== 'string' || input === STDIO) {
+        throw new Error('Checkpoints need an input file, which can be read again when resuming.');
+    }
+    if (typeof output !== 'string' || output === STDIO || compressionFromExtension(output)) {
+        throw new Error('Checkpoints need an uncompressed output file, which can be continued when resuming.');
+    }
+
+    const checkpoint = options.resume ? readCheckpoint(checkpointFile) : null;
+    const inputDescription = describeInput(input);
+    if (checkpoint) {
+        if (checkpoint.input.size !== inputDescription.size || checkpoint.input.mtimeMs !== inputDescription.mtimeMs) {
+            throw new Error(`Cannot resume: ${input} changed since checkpoint ${checkpointFile} was saved.`);
+        }
+        logger.info(`Resuming from checkpoint ${checkpointFile}: line ${checkpoint.state.position.line} of the input, byte ${checkpoint.state.outputOffset} of the output`);
+    } else if (options.resume) {
+        logger.info(`No checkpoint found at ${checkpointFile}: starting from the beginning`);
+    }
+
+    // The output is written with positioned writes, to know when a checkpoint is on disk
+    const fd = fs.openSync(output, checkpoint ? 'r+' : 'w');
+    let written = 0;
+    if (checkpoint) {
+        written = checkpoint.state.outputOffset;
+        if (fs.fstatSync(fd).size < written) {
+            fs.closeSync(fd);
+            throw new Error(`Cannot resume: ${output} is shorter than checkpoint ${checkpointFile} says.`);
+        }
+        fs.ftruncateSync(fd, written);
+    }
+
+    const pending = []; // Checkpoint states waiting for their output to be written
+    const savePending = () => {
+        let latest = null;
+        while (pending.length > 0 && pending[0].outputOffset <= written) {
+            latest = pending.shift();
+        }
+        if (!latest) {
+            return;
+        }
+        fs.fdatasyncSync(fd);
+        const temporaryFile = `${checkpointFile}.tmp`;
+        fs.writeFileSync(temporaryFile, JSON.stringify({ input: inputDescription, output, state: latest }));
+        fs.renameSync(temporaryFile, checkpointFile);
+    };
+
+    let closed = false;
+    const close = (callback) => {
+        if (closed) {
+            callback();
+            return;
+        }
+        closed = true;
+        fs.close(fd, callback);
+    };
+    const outputStream = new Writable({
+        write(chunk, encoding, callback) {
+            // Writes may be partial: the rest of the chunk is written until it is all on disk
+            const writeFrom = (offset) => {
+                fs.write(fd, chunk, offset, chunk.length - offset, written, (err, bytesWritten) => {
+                    if (err) {
+                        callback(err);
+                        return;
+                    }
+                    written += bytesWritten;
+                    if (offset + bytesWritten < chunk.length) {
+                        writeFrom(offset + bytesWritten);
+                        return;
+                    }
+                    try {
+                        savePending();
+                        callback();
+                    } catch (saveErr) {
+                        callback(saveErr);
+                    }
+                });
+            };
+            writeFrom(0);
+        },
+        final(callback) {
+            close(callback);
+        },
+        destroy(err, callback) {
+            close(() => callback(err));
+        },
+    });
+
+    return {
+        state: checkpoint?.state ?? null,
+        openInput: async () => (await openInput(input, { skip: checkpoint?.state.inputOffset ?? 0 })).stream,
+        output: outputStream,
+        save: (state) => {
+            pending.push(state);
+            savePending();
+        },
+        remove: () => fs.rmSync(checkpointFile, { force: true }),
+    };
+}
+
+module.exports = {
+    openCheckpointedRun,
+};
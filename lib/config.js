@@ -0,0 +1,293 @@
+/**
+ * Anonymization rules: which columns of which tables to anonymize, and how.
+ *
+ * Rules are written as a `tables` object, either in a JSON/YAML config file or passed to the API:
+ *   tables:
+ *     public.users:
+ *       columns:
+ *         - 2
+ *         - email
+ *         - { column: 5, strategy: redact, keepLast: 4 }
+ *         - column: profile                      # a JSON document
+ *           json:
+ *             - { path: $.email, strategy: email }
+ *             - $.address.*
+ *       sample: 10                               # keep 10% of the rows
+ *       dropRows:
+ *         - { column: status, equals: deleted }
+ *     audit_log:
+ *       exclude: true                            # drop all the rows
+ *
+ * and normalized into a Map keyed by lower-cased table name.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { validateStrategy } = require('./strategies');
+const { parseJsonPath } = require('./json');
+
+// Operators of the dropRows predicates, with a check of their operand
+const PREDICATE_OPERATORS = {
+    equals: (operand) => isScalar(operand),
+    notEquals: (operand) => isScalar(operand),
+    in: (operand) => Array.isArray(operand) && operand.every(isScalar),
+    isNull: (operand) => typeof operand === 'boolean',
+    matches: (operand) => typeof operand === 'string',
+    lessThan: (operand) => typeof operand === 'string' || typeof operand === 'number',
+    greaterThan: (operand) => typeof operand === 'string' || typeof operand === 'number',
+};
+
+/**
+ * Checks that a predicate operand is a single value.
+ * @param {*} value - The operand.
+ * @returns {boolean} - True for strings, numbers and booleans.
+ */
+function isScalar(value) {
+    return ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+/**
+ * Normalizes an SQL identifier for comparison: strips double quotes and backquotes and lower-cases it.
+ * @param {string} identifier - The identifier as written in the SQL or config (e.g., "Email", `email` or email).
+ * @returns {string} - The normalized identifier.
+ */
+function normalizeIdentifier(identifier) {
+    return identifier.trim().replace(/["`]/g, '').toLowerCase();
+}
+
+/**
+ * Parses a column reference given on the command line or in the config file.
+ * Numbers are treated as 1-based column positions, anything else as a column name.
+ * @param {string|number} ref - The column reference (e.g., 2 or "email").
+ * @returns {{index: number}|{name: string}} - The 0-based index or the normalized column name.
+ */
+function parseColumnReference(ref) {
+    const str = String(ref).trim();
+    if (/^-?\d+$/.test(str)) {
+        const num = parseInt(str, 10);
+        if (num < 1) {
+            throw new Error(`Invalid column number: ${str}. Must be a positive integer.`);
+        }
+        return { index: num - 1 }; // Convert to 0-based index
+    }
+    if (!/^(?:[A-Za-z_][\w$]*|"[^"]+"|`[^`]+`)$/.test(str)) {
+        throw new Error(`Invalid column reference: "${str}". Must be a positive integer or a column name.`);
+    }
+    return { name: normalizeIdentifier(str) };
+}
+
+/**
+ * Returns a short human-readable description of a column rule, for logging.
+ * @param {{index?: number, name?: string}} column - The column rule.
+ * @returns {string} - The 0-based index or the column name.
+ */
+function describeColumn(column) {
+    return column.name !== undefined ? column.name : String(column.index);
+}
+
+/**
+ * Normalizes the JSON paths of a column holding JSON documents.
+ * @param {Array} json - The paths as written in the config: `$.email` or `{ path: '$.email', strategy: 'email' }`.
+ * @param {string} label - The table and column (for error messages).
+ * @returns {{label: string, path: (string|number|null)[], strategy: string, options: object}[]} - The
+ *   normalized paths, each with its parsed segments (see parseJsonPath).
+ */
+function normalizeJsonPaths(json, label) {
+    if (!Array.isArray(json) || json.length === 0) {
+        throw new Error(`${label}: "json" must list at least one path, such as $.email.`);
+    }
+    return json.map((entry) => {
+        const { path: jsonPath, strategy = 'random', ...options } = typeof entry === 'object' && entry !== null ? entry : { path: entry };
+        try {
+            const segments = parseJsonPath(jsonPath);
+            validateStrategy(strategy, options);
+            return { label: jsonPath, path: segments, strategy, options };
+        } catch (e) {
+            throw new Error(`${label}, path ${jsonPath}: ${e.message}`);
+        }
+    });
+}
+
+/**
+ * Normalizes a single column entry.
+ * Accepts either a bare column reference (1-based number or name) or an object such as
+ * `{ column: 'email', strategy: 'redact', keepLast: 4 }`. `unique` and `maxLength` describe the
+ * column rather than the strategy, and override what CREATE TABLE says about it. A column holding
+ * JSON documents lists the paths to anonymize, each with its own strategy, under `json` instead.
+ * @param {number|string|object} entry - The column entry as written in the config.
+ * @param {string} tableName - The table the entry belongs to (for error messages).
+ * @returns {{index?: number, name?: string, strategy?: string, options?: object, json?: object[], unique?: boolean, maxLength?: number}} -
+ *   The normalized column rule.
+ */
+function normalizeColumnRule(entry, tableName) {
+    const { column, strategy, unique, maxLength, json, ...options } = typeof entry === 'object' && entry !== null ? entry : { column: entry };
+    if (column === undefined || column === null) {
+        throw new Error(`Missing "column" for an entry of table ${tableName}.`);
+    }
+    let ref;
+    try {
+        ref = parseColumnReference(column);
+    } catch (e) {
+        throw new Error(`Table ${tableName}: ${e.message}`);
+    }
+    if (json !== undefined) {
+        if (strategy !== undefined || unique !== undefined || maxLength !== undefined || Object.keys(options).length > 0) {
+            throw new Error(`Table ${tableName}, column ${column}: with "json", the strategy and its options are given for each path, and "unique" and "maxLength" do not apply.`);
+        }
+        return { ...ref, json: normalizeJsonPaths(json, `Table ${tableName}, column ${column}`) };
+    }
+    try {
+        validateStrategy(strategy ?? 'random', options);
+    } catch (e) {
+        throw new Error(`Table ${tableName}, column ${column}: ${e.message}`);
+    }
+    const rule = { ...ref, strategy: strategy ?? 'random', options };
+    if (unique !== undefined) {
+        if (typeof unique !== 'boolean') {
+            throw new Error(`Table ${tableName}, column ${column}: "unique" must be true or false.`);
+        }
+        rule.unique = unique;
+    }
+    if (maxLength !== undefined) {
+        if (!Number.isInteger(maxLength) || maxLength < 1) {
+            throw new Error(`Table ${tableName}, column ${column}: "maxLength" must be a positive integer.`);
+        }
+        rule.maxLength = maxLength;
+    }
+    return rule;
+}
+
+/**
+ * Normalizes a dropRows predicate such as `{ column: 'status', equals: 'deleted' }`.
+ * @param {object} entry - The predicate as written in the config: a column and exactly one operator.
+ * @param {string} tableName - The table the predicate belongs to (for error messages).
+ * @returns {{index?: number, name?: string, operator: string, operand: *}} - The normalized predicate;
+ *   the operand of `matches` is compiled to a RegExp.
+ */
+function normalizeRowPredicate(entry, tableName) {
+    if (typeof entry !== 'object' || entry === null || Array.isArray(entry)) {
+        throw new Error(`Table ${tableName}: each dropRows entry must be an object such as { column: status, equals: deleted }.`);
+    }
+    const { column, ...operators } = entry;
+    if (column === undefined || column === null) {
+        throw new Error(`Missing "column" for a dropRows entry of table ${tableName}.`);
+    }
+    let ref;
+    try {
+        ref = parseColumnReference(column);
+    } catch (e) {
+        throw new Error(`Table ${tableName}: ${e.message}`);
+    }
+    const names = Object.keys(operators);
+    if (names.length !== 1 || !Object.hasOwn(PREDICATE_OPERATORS, names[0])) {
+        throw new Error(`Table ${tableName}, dropRows column ${column}: expected exactly one of ${Object.keys(PREDICATE_OPERATORS).join(', ')}.`);
+    }
+    const [operator] = names;
+    let operand = operators[operator];
+    if (!PREDICATE_OPERATORS[operator](operand)) {
+        throw new Error(`Table ${tableName}, dropRows column ${column}: invalid value for ${operator}.`);
+    }
+    if (operator === 'matches') {
+        try {
+            operand = new RegExp(operand);
+        } catch (e) {
+            throw new Error(`Table ${tableName}, dropRows column ${column}: ${e.message}`);
+        }
+    }
+    return { ...ref, operator, operand };
+}
+
+/**
+ * Normalizes the sampling options of a table.
+ * @param {object} tableConfig - The table entry of the config.
+ * @param {string} tableName - The table name (for error messages).
+ * @returns {{percent: number, key: object[]|null}|null} - The percentage of rows to keep and the column
+ *   references to hash (null for the primary key), or null if the table is not sampled.
+ */
+function normalizeSample(tableConfig, tableName) {
+    const { sample, sampleKey } = tableConfig;
+    if (sample === undefined) {
+        if (sampleKey !== undefined) {
+            throw new Error(`Table ${tableName}: "sampleKey" requires "sample".`);
+        }
+        return null;
+    }
+    if (typeof sample !== 'number' || !(sample >= 0 && sample <= 100)) {
+        throw new Error(`Table ${tableName}: "sample" must be a percentage between 0 and 100.`);
+    }
+    let key = null;
+    if (sampleKey !== undefined) {
+        const refs = Array.isArray(sampleKey) ? sampleKey : [sampleKey];
+        if (refs.length === 0) {
+            throw new Error(`Table ${tableName}: "sampleKey" must list at least one column.`);
+        }
+        try {
+            key = refs.map(parseColumnReference);
+        } catch (e) {
+            throw new Error(`Table ${tableName}, sampleKey: ${e.message}`);
+        }
+    }
+    return { percent: sample, key };
+}
+
+/**
+ * Builds the anonymization rules from a `tables` object (see the shape at the top of this file).
+ * @param {object} tables - The tables to anonymize or filter, keyed by (possibly schema-qualified) table name.
+ * @returns {Map<string, {name: string, columns: object[], exclude: boolean, sample: object|null, dropRows: object[]}>} -
+ *   Rules keyed by lower-cased table name.
+ */
+function buildRules(tables) {
+    if (typeof tables !== 'object' || tables === null || Array.isArray(tables)) {
+        throw new Error('The "tables" option must be an object.');
+    }
+
+    const rules = new Map();
+    for (const [tableName, tableConfig] of Object.entries(tables)) {
+        if (typeof tableConfig !== 'object' || tableConfig === null || Array.isArray(tableConfig)) {
+            throw new Error(`Table ${tableName} must be an object with its columns.`);
+        }
+        const { columns = [], exclude = false, dropRows = [] } = tableConfig;
+        if (!Array.isArray(columns)) {
+            throw new Error(`The columns of table ${tableName} must be a list.`);
+        }
+        if (typeof exclude !== 'boolean') {
+            throw new Error(`Table ${tableName}: "exclude" must be true or false.`);
+        }
+        if (!Array.isArray(dropRows)) {
+            throw new Error(`Table ${tableName}: "dropRows" must be a list.`);
+        }
+        const columnRules = columns.map(entry => normalizeColumnRule(entry, tableName));
+        const sample = normalizeSample(tableConfig, tableName);
+        const rowPredicates = dropRows.map(entry => normalizeRowPredicate(entry, tableName));
+        if (columnRules.length === 0 && !exclude && !sample && rowPredicates.length === 0) {
+            throw new Error(`Table ${tableName} must list at least one column, or exclude, sample or drop rows.`);
+        }
+        rules.set(tableName.toLowerCase(), { name: tableName, columns: columnRules, exclude, sample, dropRows: rowPredicates });
+    }
+    return rules;
+}
+
+/**
+ * Reads a JSON or YAML config file.
+ * @param {string} configPath - Path to the config file. `.yml`/`.yaml` files are parsed as YAML, anything else as JSON.
+ * @returns {object} - The parsed config, with its `tables` object.
+ */
+function loadConfig(configPath) {
+    const content = fs.readFileSync(configPath, 'utf8');
+    const extension = path.extname(configPath).toLowerCase();
+    const config = extension === '.yml' || extension === '.yaml' ? yaml.load(content) : JSON.parse(content);
+
+    if (!config || typeof config.tables !== 'object' || config.tables === null || Array.isArray(config.tables)) {
+        throw new Error(`Config file ${configPath} must contain a "tables" object.`);
+    }
+    return config;
+}
+
+module.exports = {
+    normalizeIdentifier,
+    parseColumnReference,
+    describeColumn,
+    buildRules,
+    loadConfig,
+};
@@ -0,0 +1,50 @@
+/**
+ * SQL dialects supported in dumps.
+ *
+ * The dialect decides how string literals are escaped: PostgreSQL doubles quotes ('') and only
+ * accepts backslash escapes in E'...' strings, while MySQL/MariaDB (mysqldump) use backslash
+ * escapes (\', \\, \n, ...) in every string.
+ */
+
+const DIALECTS = {
+    postgres: { name: 'postgres', backslashEscapes: false },
+    mysql: { name: 'mysql', backslashEscapes: true },
+};
+
+// Markers that only appear in dumps of one dialect
+const MYSQL_MARKERS = /^-- (?:MySQL|MariaDB) dump|^\/\*!\d{5}|^\s*LOCK TABLES\s|^\s*(?:INSERT|REPLACE)\b[^\n]*?\sINTO\s+`|\)\s*ENGINE\s*=/im;
+const POSTGRES_MARKERS = /^-- PostgreSQL database dump|^\s*SET\s+standard_conforming_strings\b|^\s*COPY\s[^\n]*\sFROM\s+stdin\b|^\s*SELECT\s+pg_catalog\./im;
+
+/**
+ * Guesses the dialect of a dump from a piece of its content.
+ * @param {string} text - A line or statement of the dump.
+ * @returns {string|null} - 'mysql' or 'postgres', or null if the text gives no hint.
+ */
+function detectDialect(text) {
+    if (MYSQL_MARKERS.test(text)) {
+        return 'mysql';
+    }
+    if (POSTGRES_MARKERS.test(text)) {
+        return 'postgres';
+    }
+    return null;
+}
+
+/**
+ * Returns the settings of a dialect.
+ * @param {string} name - The dialect name ('postgres' or 'mysql').
+ * @returns {{name: string, backslashEscapes: boolean}} - The dialect settings.
+ */
+function getDialect(name) {
+    const dialect = DIALECTS[name];
+    if (!dialect) {
+        throw new Error(`Unknown dialect: ${name}. Available: ${Object.keys(DIALECTS).join(', ')}`);
+    }
+    return dialect;
+}
+
+module.exports = {
+    DIALECTS,
+    detectDialect,
+    getDialect,
+};
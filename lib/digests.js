@@ -0,0 +1,123 @@
+/**
+ * Sets of values kept as 64-bit digests, for the replacements used in unique columns: a table of
+ * tens of millions of rows would not fit in memory as a Set of strings, nor in a checkpoint.
+ *
+ * The digests are kept in an open-addressing hash table of 32-bit words. Two different values
+ * may have the same digest, so `has` can answer true for a value that was never added; for
+ * unique columns that only means drawing another replacement, which is still unique.
+ */
+
+// Slots of a new set; the table doubles once three quarters of its slots are used
+const INITIAL_CAPACITY = 1024;
+
+/**
+ * Computes the 64-bit digest of a value, as two 32-bit words (cyrb53, keeping both halves).
+ * (0, 0) marks the empty slots of the table, so that digest becomes (0, 1).
+ * @param {string} value - The value.
+ * @returns {number[]} - The two words.
+ */
+function digestOf(value) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < value.length; i++) {
+        const code = value.charCodeAt(i);
+        h1 = Math.imul(h1 ^ code, 2654435761);
+        h2 = Math.imul(h2 ^ code, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    h1 >>>= 0;
+    h2 >>>= 0;
+    return h1 === 0 && h2 === 0 ? [0, 1] : [h1, h2];
+}
+
+/**
+ * Creates a set of values kept as digests.
+ * @param {string} [serialized] - The digests of a set, as returned by its serialize method (e.g., from a checkpoint).
+ * @returns {{has: function(string): boolean, add: function(string): void, size: number, serialize: function(): string}} - The set.
+ */
+function createDigestSet(serialized) {
+    let capacity = INITIAL_CAPACITY;
+    let slots = new Uint32Array(capacity * 2);
+    let size = 0;
+
+    /**
+     * Finds the slot of a digest, or the empty slot where it would go.
+     * @param {number} h1 - The first word of the digest.
+     * @param {number} h2 - The second word.
+     * @returns {number} - The index of the slot.
+     */
+    const slotOf = (h1, h2) => {
+        let slot = h1 & (capacity - 1);
+        while (slots[slot * 2] !== 0 || slots[slot * 2 + 1] !== 0) {
+            if (slots[slot * 2] === h1 && slots[slot * 2 + 1] === h2) {
+                return slot;
+            }
+            slot = (slot + 1) & (capacity - 1);
+        }
+        return slot;
+    };
+
+    /**
+     * Adds a digest, unless it is there already, and doubles the table when it gets too full.
+     * @param {number} h1 - The first word of the digest.
+     * @param {number} h2 - The second word.
+     */
+    const insert = (h1, h2) => {
+        const slot = slotOf(h1, h2);
+        if (slots[slot * 2] !== 0 || slots[slot * 2 + 1] !== 0) {
+            return;
+        }
+        slots[slot * 2] = h1;
+        slots[slot * 2 + 1] = h2;
+        size++;
+        if (size * 4 > capacity * 3) {
+            const previous = slots;
+            capacity *= 2;
+            slots = new Uint32Array(capacity * 2);
+            for (let i = 0; i < previous.length; i += 2) {
+                if (previous[i] !== 0 || previous[i + 1] !== 0) {
+                    const free = slotOf(previous[i], previous[i + 1]);
+                    slots[free * 2] = previous[i];
+                    slots[free * 2 + 1] = previous[i + 1];
+                }
+            }
+        }
+    };
+
+    if (serialized) {
+        const words = Buffer.from(serialized, 'base64');
+        for (let offset = 0; offset + 8 <= words.length; offset += 8) {
+            insert(words.readUInt32LE(offset), words.readUInt32LE(offset + 4));
+        }
+    }
+
+    return {
+        has: (value) => {
+            const [h1, h2] = digestOf(value);
+            const slot = slotOf(h1, h2);
+            return slots[slot * 2] !== 0 || slots[slot * 2 + 1] !== 0;
+        },
+        add: (value) => {
+            insert(...digestOf(value));
+        },
+        get size() {
+            return size;
+        },
+        // The digests only, 8 bytes each, in base64
+        serialize: () => {
+            const words = Buffer.alloc(size * 8);
+            let offset = 0;
+            for (let i = 0; i < slots.length; i += 2) {
+                if (slots[i] !== 0 || slots[i + 1] !== 0) {
+                    words.writeUInt32LE(slots[i], offset);
+                    words.writeUInt32LE(slots[i + 1], offset + 4);
+                    offset += 8;
+                }
+            }
+            return words.toString('base64');
+        },
+    };
+}
+
+module.exports = { createDigestSet };
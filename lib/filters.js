@@ -0,0 +1,155 @@
+/**
+ * Row filtering: which rows of a table to keep in the output.
+ *
+ * A table can be sampled, keeping a percentage of its rows chosen by a hash of their key, and rows
+ * can be dropped when one of the dropRows predicates of the table matches. Sampling is
+ * deterministic: the same key is always kept or always dropped, whatever the table, the run or the
+ * order of the rows, so sampling `users` on `id` and `orders` on `user_id` keeps the orders of the
+ * users that are kept.
+ */
+
+const crypto = require('crypto');
+
+const TRUE_VALUES = /^(?:t|true|y|yes|on|1)$/i;
+const NUMBER_REGEX = /^[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?$/;
+
+/**
+ * Decides whether a row is kept by sampling.
+ * @param {(string|null)[]} keyValues - The decoded values of the key columns of the row.
+ * @param {number} percent - The percentage of rows to keep.
+ * @returns {boolean} - True if the row is kept.
+ */
+function isSampled(keyValues, percent) {
+    const hash = crypto.createHash('sha256').update(keyValues.map(value => value ?? '').join('\0')).digest();
+    return (hash.readUInt32BE(0) / 0x100000000) * 100 < percent;
+}
+
+/**
+ * Compares a decoded value with a predicate operand: as numbers when both are numbers, as a
+ * truth value when the operand is a boolean, and as text otherwise.
+ * @param {string} value - The decoded value.
+ * @param {string|number|boolean} operand - The operand from the config.
+ * @returns {number} - Negative if the value is smaller, 0 if equal, positive if greater.
+ */
+function compareValue(value, operand) {
+    if (typeof operand === 'boolean') {
+        return TRUE_VALUES.test(value) === operand ? 0 : 1;
+    }
+    if (NUMBER_REGEX.test(value) && NUMBER_REGEX.test(String(operand))) {
+        return Number(value) - Number(operand);
+    }
+    const text = String(operand);
+    return value < text ? -1 : (value > text ? 1 : 0);
+}
+
+/**
+ * Evaluates a dropRows predicate on a value.
+ * NULL only matches `isNull: true` and `notEquals`, as the value is unknown; expressions never match.
+ * @param {{operator: string, operand: *}} predicate - The predicate (see buildRules).
+ * @param {{kind: string, value: string|null}} literal - The parsed value.
+ * @returns {boolean} - True if the row should be dropped.
+ */
+function matchesPredicate({ operator, operand }, literal) {
+    if (literal.kind === 'expression') {
+        return false;
+    }
+    const { value } = literal;
+    if (operator === 'isNull') {
+        return (value === null) === operand;
+    }
+    if (value === null) {
+        return operator === 'notEquals';
+    }
+    switch (operator) {
+        case 'equals':
+            return compareValue(value, operand) === 0;
+        case 'notEquals':
+            return compareValue(value, operand) !== 0;
+        case 'in':
+            return operand.some(item => compareValue(value, item) === 0);
+        case 'matches':
+            return operand.test(value);
+        case 'lessThan':
+            return compareValue(value, operand) < 0;
+        case 'greaterThan':
+            return compareValue(value, operand) > 0;
+        default:
+            return false;
+    }
+}
+
+/**
+ * Resolves the row filter of a table for one INSERT statement or COPY block.
+ * Columns are referenced by name or by position, as in column rules. When a column cannot be
+ * resolved, its predicate (or the sampling) is left out with a warning, keeping the rows.
+ * @param {object} tableRules - The rules of the table (see buildRules).
+ * @param {string[]|undefined} columnNames - The normalized column names of the rows, if known.
+ * @param {string[]} primaryKey - The primary key columns from CREATE TABLE (may be empty); sampling
+ *   hashes them unless the table has a sampleKey, and the first column if neither is known.
+ * @param {number} endLineNumber - The line number where the statement ended (for warnings).
+ * @param {{warn: Function}} logger - Where to report columns that cannot be resolved.
+ * @returns {{predicates: object[], sampleIndices: number[]|null, percent: number}|null} - The filter, with
+ *   0-based column indices (a plain object, so it can be sent to a worker thread); null if nothing is filtered.
+ */
+function resolveRowFilter(tableRules, columnNames, primaryKey, endLineNumber, logger) {
+    const { sample, dropRows } = tableRules;
+    if (!sample && dropRows.length === 0) {
+        return null;
+    }
+
+    // Resolves a column reference to a 0-based index, or -1
+    const resolve = (ref, purpose) => {
+        if (ref.name === undefined) {
+            return ref.index;
+        }
+        const index = columnNames ? columnNames.indexOf(ref.name) : -1;
+        if (index === -1) {
+            logger.warn(`Stmt ending line ${endLineNumber}: Cannot find column "${ref.name}" ${purpose} of table ${tableRules.name}. Keeping the rows it would drop.`);
+        }
+        return index;
+    };
+
+    const predicates = dropRows
+        .map(predicate => ({ ...predicate, index: resolve(predicate, 'for dropRows') }))
+        .filter(predicate => predicate.index !== -1);
+    let sampleIndices = null;
+    if (sample) {
+        const key = sample.key ?? (primaryKey.length > 0 ? primaryKey.map(name => ({ name })) : [{ index: 0 }]);
+        const indices = key.map(ref => resolve(ref, 'to sample'));
+        sampleIndices = indices.includes(-1) ? null : indices;
+    }
+    if (!sampleIndices && predicates.length === 0) {
+        return null;
+    }
+    return { predicates, sampleIndices, percent: sample?.percent ?? 100 };
+}
+
+/**
+ * Decides whether a row is kept.
+ * @param {object} filter - The row filter (see resolveRowFilter).
+ * @param {string[]} values - The raw values of the row.
+ * @param {function(string): object} parse - Parses a raw value (parseLiteral or parseCopyField).
+ * @returns {boolean} - True if the row is kept.
+ */
+function keepRow({ predicates, sampleIndices, percent }, values, parse) {
+    // Rows too short for a column are kept: the anonymizer reports them
+    const literalAt = (index) => (index < values.length ? parse(values[index]) : null);
+    for (const predicate of predicates) {
+        const literal = literalAt(predicate.index);
+        if (literal && matchesPredicate(predicate, literal)) {
+            return false;
+        }
+    }
+    if (sampleIndices) {
+        const literals = sampleIndices.map(literalAt);
+        if (!literals.includes(null) && !isSampled(literals.map(literal => literal.value), percent)) {
+            return false;
+        }
+    }
+    return true;
+}
+
+module.exports = {
+    resolveRowFilter,
+    keepRow,
+};
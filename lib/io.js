@@ -0,0 +1,183 @@
+/**
+ * Input and output streams for dumps: files or stdin/stdout (`-`), transparently
+ * (de)compressed with gzip, brotli or zstd.
+ *
+ * The compression of an output is decided by its file extension. For an input the extension is
+ * checked first and then the magic bytes, so compressed data piped on stdin is detected as well
+ * (brotli has no magic bytes and is only recognized by its .br extension).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable, Transform, pipeline } = require('stream');
+
+// Path meaning stdin for an input and stdout for an output
+const STDIO = '-';
+
+const COMPRESSIONS = {
+    gzip: {
+        extensions: ['.gz', '.gzip'],
+        magic: Buffer.from([0x1f, 0x8b]),
+        decompress: () => zlib.createGunzip(),
+        compress: () => zlib.createGzip(),
+    },
+    brotli: {
+        extensions: ['.br'],
+        magic: null,
+        decompress: () => zlib.createBrotliDecompress(),
+        compress: () => zlib.createBrotliCompress(),
+    },
+    zstd: {
+        extensions: ['.zst', '.zstd'],
+        magic: Buffer.from([0x28, 0xb5, 0x2f, 0xfd]),
+        decompress: () => createZstdStream('createZstdDecompress'),
+        compress: () => createZstdStream('createZstdCompress'),
+    },
+};
+
+// Enough bytes to recognize every magic number above
+const HEADER_LENGTH = 4;
+
+/**
+ * Creates a zstd stream, which only recent Node.js versions provide.
+ * @param {string} factory - The zlib factory function name.
+ * @returns {import('stream').Transform} - The zstd stream.
+ */
+function createZstdStream(factory) {
+    if (typeof zlib[factory] !== 'function') {
+        throw new Error(`zstd is not supported by Node.js ${process.version}. Use gzip or brotli, or a newer Node.js version.`);
+    }
+    return zlib[factory]();
+}
+
+/**
+ * Finds the compression matching a file extension.
+ * @param {string} file - The file path.
+ * @returns {string|null} - The compression name, or null for a plain file.
+ */
+function compressionFromExtension(file) {
+    const extension = path.extname(file).toLowerCase();
+    return Object.keys(COMPRESSIONS).find(name => COMPRESSIONS[name].extensions.includes(extension)) ?? null;
+}
+
+/**
+ * Finds the compression matching the first bytes of a stream.
+ * @param {Buffer} header - The first bytes.
+ * @returns {string|null} - The compression name, or null if the data does not look compressed.
+ */
+function compressionFromMagic(header) {
+    return Object.keys(COMPRESSIONS).find(name => {
+        const { magic } = COMPRESSIONS[name];
+        return magic && header.length >= magic.length && header.subarray(0, magic.length).equals(magic);
+    }) ?? null;
+}
+
+/**
+ * Creates a stream leaving out the first bytes of its input.
+ * @param {number} count - The number of bytes to leave out.
+ * @returns {Transform} - The stream.
+ */
+function skipBytes(count) {
+    let remaining = count;
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            if (remaining >= chunk.length) {
+                remaining -= chunk.length;
+                callback();
+                return;
+            }
+            const rest = chunk.subarray(remaining);
+            remaining = 0;
+            callback(null, rest);
+        },
+    });
+}
+
+/**
+ * Opens an input dump, decompressing it if needed.
+ * @param {string|Readable} input - The file path, `-` for stdin, or a stream of bytes (whose compression
+ *   can only be recognized by its magic bytes).
+ * @param {object} [options] - The input options.
+ * @param {number} [options.skip=0] - Bytes of the uncompressed dump to leave out, e.g. to read the rest of
+ *   the dump after a checkpoint. Uncompressed files are read from there on.
+ * @returns {Promise<{stream: Readable, compression: string|null}>} - The stream of the uncompressed
+ *   dump, and the compression that was detected.
+ */
+async function openInput(input, { skip = 0 } = {}) {
+    if (skip > 0 && typeof input === 'string' && input !== STDIO) {
+        const header = Buffer.alloc(HEADER_LENGTH);
+        const fd = fs.openSync(input, 'r');
+        const length = fs.readSync(fd, header, 0, HEADER_LENGTH, 0);
+        fs.closeSync(fd);
+        if (!compressionFromExtension(input) && !compressionFromMagic(header.subarray(0, length))) {
+            return { stream: fs.createReadStream(input, { start: skip }), compression: null };
+        }
+    }
+
+    let source = input;
+    if (typeof input === 'string') {
+        source = input === STDIO ? process.stdin : fs.createReadStream(input);
+    }
+
+    // Read the first bytes to look for a magic number, then put them back in front of the rest
+    const iterator = source[Symbol.asyncIterator]();
+    let header = Buffer.alloc(0);
+    let ended = false;
+    while (header.length < HEADER_LENGTH) {
+        const { value, done } = await iterator.next();
+        if (done) {
+            ended = true;
+            break;
+        }
+        header = Buffer.concat([header, Buffer.from(value)]);
+    }
+    const stream = Readable.from((async function* () {
+        if (header.length > 0) yield header;
+        if (ended) return;
+        for (let next = await iterator.next(); !next.done; next = await iterator.next()) {
+            yield next.value;
+        }
+    })(), { objectMode: false });
+
+    const compression = (typeof input === 'string' && input !== STDIO && compressionFromExtension(input)) || compressionFromMagic(header);
+    const streams = [stream];
+    if (compression) {
+        streams.push(COMPRESSIONS[compression].decompress());
+    }
+    if (skip > 0) {
+        streams.push(skipBytes(skip));
+    }
+    if (streams.length === 1) {
+        return { stream, compression: null };
+    }
+    // Errors of any stream end up on the last one, which is what the caller reads from
+    pipeline(...streams, () => {});
+    return { stream: streams[streams.length - 1], compression };
+}
+
+/**
+ * Opens an output dump, compressing it if its extension asks for it.
+ * @param {string} output - The file path, or `-` for stdout.
+ * @returns {{streams: import('stream').Writable[], compression: string|null}} - The streams to pipe the
+ *   dump through, in order, and the compression used.
+ */
+function openOutput(output) {
+    if (output === STDIO) {
+        return { streams: [process.stdout], compression: null };
+    }
+    const compression = compressionFromExtension(output);
+    const compressor = compression ? COMPRESSIONS[compression].compress() : null;
+    const file = fs.createWriteStream(output);
+    return {
+        streams: compressor ? [compressor, file] : [file],
+        compression,
+    };
+}
+
+module.exports = {
+    STDIO,
+    compressionFromExtension,
+    openInput,
+    openOutput,
+};
@@ -0,0 +1,509 @@
+/**
+ * The work done on the rows of the dump: anonymizing (and filtering) the value sets of one INSERT
+ * statement, or a batch of rows of a COPY block.
+ *
+ * A job is a plain object that carries everything it needs, with its column rules and row filter
+ * already resolved, and returns everything it produces: the output text and the counts for the
+ * run report. This lets the anonymizer run jobs either inline or in worker threads (see workers.js)
+ * and apply their results in input order.
+ *
+ * The one exception is uniqueness: the replacements already used in unique columns are kept by the
+ * anonymizer and passed to runJob, so jobs of tables with unique columns always run inline. The same
+ * goes for detokenizing, where the column rules carry the tokens of the vault (see vault.js).
+ */
+
+const { applyStrategy, computeReplacement, createSeededRandom } = require('./strategies');
+const { parseLiteral, parseCopyField, formatLiteral } = require('./literals');
+const { rewriteJson } = require('./json');
+const { getDialect } = require('./dialects');
+const { maskLiterals, splitTopLevel } = require('./tokenizer');
+const { splitInsertValues } = require('./statements');
+const { keepRow } = require('./filters');
+const { createDigestSet } = require('./digests');
+
+// How many replacements are tried for a value of a unique column before giving up
+const MAX_UNIQUE_ATTEMPTS = 100;
+// Warning about a column whose pseudonyms differ from those of the same values elsewhere (see anonymizeValue)
+const ALTERED_WARNING = 'Some pseudonyms were shortened to fit the column or changed to stay unique, so they differ from those of the same values elsewhere and joins on them may break.';
+
+/**
+ * Returns the label of a column rule in the run report: its name, or its 1-based position.
+ * @param {{index?: number, name?: string}} rule - The column rule.
+ * @returns {string} - The label.
+ */
+function columnLabel(rule) {
+    return rule.name !== undefined ? rule.name : String(rule.index + 1);
+}
+
+/**
+ * Returns the whitespace and comments before a statement, which are kept when the statement is dropped.
+ * @param {string} statement - The statement, as returned by the statement splitter.
+ * @param {{backslashEscapes: boolean}} dialect - The dialect of the dump.
+ * @returns {string} - The text before the first keyword of the statement.
+ */
+function leadingText(statement, dialect) {
+    const start = maskLiterals(statement, dialect).search(/\S/);
+    return start === -1 ? statement : statement.substring(0, start);
+}
+
+/**
+ * Anonymizes the values selected by the JSON paths of a column in a JSON document. NULL is kept.
+ * @param {{json: object[]}} rule - The column rule, with its JSON paths (see normalizeJsonPaths).
+ * @param {object} literal - The original literal (see parseLiteral and parseCopyField).
+ * @param {string} [secret] - Secret key for deterministic pseudonymization.
+ * @param {object|null} [random] - The random source of the row (see rowRandom).
+ * @returns {string} - The replacement literal, holding the anonymized document.
+ * @throws {Error} - If the value is not a JSON document.
+ */
+function anonymizeJson(rule, literal, secret, random = null) {
+    if (literal.value === null) {
+        return formatLiteral(null, literal);
+    }
+    if (literal.kind !== 'string' && !literal.copy) {
+        throw new Error(`Expected a JSON document in a string literal, found a ${literal.kind} literal.`);
+    }
+    const document = rewriteJson(literal.value, rule.json, (path, value) => computeReplacement(path.strategy, value, path.options, secret, { random }));
+    return formatLiteral(document, literal);
+}
+
+/**
+ * Returns the random source of a row for a job run with a seed, or null to use the default one.
+ * @param {{seed?: string, secret?: string}} job - The job.
+ * @param {string} row - Where the row is in the dump (see createSeededRandom).
+ * @returns {object|null} - The random source; null without a seed, or with a secret, which takes precedence.
+ */
+function rowRandom(job, row) {
+    return job.seed !== undefined && !job.secret ? createSeededRandom(job.seed, row) : null;
+}
+
+/**
+ * Restores the original of a value from the tokens of a vault.
+ * @param {{restore: Map<string, string|null>}} rule - The column rule, with the tokens of its column.
+ * @param {object} literal - The anonymized literal (see parseLiteral and parseCopyField).
+ * @returns {string|null} - The original literal, or null if the value is not in the vault.
+ */
+function restoreValue(rule, literal) {
+    if (literal.value === null || !rule.restore.has(literal.value)) {
+        return null;
+    }
+    return formatLiteral(rule.restore.get(literal.value), literal);
+}
+
+/**
+ * Anonymizes one value, or the values within it for a column holding JSON documents. In a unique column,
+ * a replacement that was already used is rejected and the strategy applied again; replacements that
+ * decode to NULL are not tracked, as NULLs never collide. A value kept as it is counts as used too.
+ * When detokenizing, the value is restored instead (see restoreValue).
+ * @param {{strategy?: string, options?: object, json?: object[], restore?: Map, unique?: boolean, maxLength?: number|null}} rule - The column rule.
+ * @param {object} literal - The original literal (see parseLiteral and parseCopyField).
+ * @param {function(string): object} parse - Parses a replacement back, to compare decoded values.
+ * @param {string} [secret] - Secret key for deterministic pseudonymization.
+ * @param {Map<string, object>|null} uniqueValues - The values used so far in the unique columns of the
+ *   table, as digest sets by column label (see createDigestSet); null if they are not tracked.
+ * @param {object|null} [random] - The random source of the row (see rowRandom).
+ * @param {function(object, string): void} [warnColumn] - Called with the rule and a message about its replacements:
+ *   when, with a secret, the pseudonym is not the one the value gets elsewhere (it was shortened to fit the column,
+ *   or another one was taken to stay unique), and when the strategy warns about the replacement (see computeReplacement).
+ * @returns {string|null} - The replacement literal; null if the value is kept as it is: it is not in the vault,
+ *   or it is a typed string and the replacement is not a value of its type (see applyStrategy).
+ */
+function anonymizeValue(rule, literal, parse, secret, uniqueValues, random = null, warnColumn = () => {}) {
+    if (rule.restore) {
+        return restoreValue(rule, literal);
+    }
+    if (rule.json) {
+        return anonymizeJson(rule, literal, secret, random);
+    }
+    const column = { maxLength: rule.maxLength ?? null, attempt: 0, random };
+    const noted = (replacement) => {
+        if (secret && replacement !== null && (column.shortened || column.attempt > 0)) {
+            warnColumn(rule, ALTERED_WARNING);
+        }
+        if (column.warning) {
+            warnColumn(rule, column.warning);
+        }
+        return replacement;
+    };
+    if (!rule.unique || !uniqueValues) {
+        return noted(applyStrategy(rule.strategy, literal, rule.options, secret, column));
+    }
+    const label = columnLabel(rule);
+    if (!uniqueValues.has(label)) {
+        uniqueValues.set(label, createDigestSet());
+    }
+    const used = uniqueValues.get(label);
+    for (; column.attempt < MAX_UNIQUE_ATTEMPTS; column.attempt++) {
+        const replacement = applyStrategy(rule.strategy, literal, rule.options, secret, column);
+        if (replacement === null) {
+            if (literal.value !== null) {
+                used.add(literal.value);
+            }
+            return null;
+        }
+        const { value } = parse(replacement);
+        if (value === null) {
+            return noted(replacement);
+        }
+        if (!used.has(value)) {
+            used.add(value);
+            return noted(replacement);
+        }
+    }
+    throw new Error(`Could not find a unique replacement after ${MAX_UNIQUE_ATTEMPTS} attempts; the column may be too short for the strategy.`);
+}
+
+/**
+ * Creates the result of a job, with helpers to fill in its counts, its preview and its tokens.
+ * @param {number} [previewRows=0] - How many anonymized rows to keep for the preview.
+ * @param {boolean} [recordTokens=false] - Whether to keep the replacements and original values for a vault.
+ * @returns {{result: object, countValues: Function, addPreview: Function, addToken: Function, warnColumn: Function}} - The
+ *   result, a function counting one value of each of the given columns as 'changed', 'unchanged' (a NULL the strategy
+ *   keeps NULL), 'skipped' or 'failed', a function
+ *   adding an anonymized row to the preview, given its line number (or a function computing it, only called
+ *   when the row is kept) and its original and replacement literals by column rule, a function adding a
+ *   token, given the column rule and the decoded original and replacement values, and a function noting a
+ *   warning about the replacements of a column, given the column rule and the message (see anonymizeValue).
+ */
+function createResult(previewRows = 0, recordTokens = false) {
+    const result = { text: '', modified: false, dropped: false, hadError: false, droppedRows: 0, columns: {}, preview: [], tokens: [], warnings: [] };
+    const countValues = (rules, outcome) => {
+        rules.forEach(rule => {
+            const label = columnLabel(rule);
+            result.columns[label] ??= { changed: 0, unchanged: 0, skipped: 0, failed: 0 };
+            result.columns[label][outcome]++;
+        });
+    };
+    const addPreview = (line, changes) => {
+        if (result.preview.length >= previewRows) {
+            return;
+        }
+        const columns = {};
+        changes.forEach(({ rule, before, after }) => {
+            columns[columnLabel(rule)] = { before, after };
+        });
+        result.preview.push({ line: typeof line === 'function' ? line() : line, columns });
+    };
+    // Replacements that decode to NULL cannot be mapped back
+    const addToken = (rule, original, replacement) => {
+        if (recordTokens && replacement !== null) {
+            result.tokens.push([columnLabel(rule), replacement, original]);
+        }
+    };
+    const warnColumn = (rule, message) => {
+        const label = columnLabel(rule);
+        if (!result.warnings.some(warning => warning[0] === label && warning[1] === message)) {
+            result.warnings.push([label, message]);
+        }
+    };
+    return { result, countValues, addPreview, addToken, warnColumn };
+}
+
+/**
+ * Anonymizes and filters the value sets of an INSERT statement for a target table.
+ * @param {object} job - The job.
+ * @param {string} job.statement - The complete INSERT statement.
+ * @param {number} job.endLineNumber - The line number where the statement ended in the input file.
+ * @param {number} job.statementNumber - The position of the statement in the dump, counting from 1.
+ * @param {string} job.dialect - The dialect name.
+ * @param {string} job.tableName - The table name found in the statement (for logging).
+ * @param {boolean} job.exclude - Whether the table is excluded, dropping the whole statement.
+ * @param {object[]|null} job.columnRules - The column rules with resolved indices (see resolveColumnRules).
+ * @param {object[]} job.skippedRules - The column rules that could not be resolved.
+ * @param {object|null} job.rowFilter - The row filter (see resolveRowFilter).
+ * @param {string} [job.secret] - Secret key for deterministic pseudonymization.
+ * @param {string} [job.seed] - Seed of the random replacements, used without a secret; each value set is
+ *   seeded with the position of the statement in the dump and its position in the statement (several
+ *   statements may end on the same line).
+ * @param {number} [job.preview] - How many anonymized rows to keep for the preview (see createResult).
+ * @param {boolean} [job.vault] - Whether to keep the replacements and original values for a vault (see createResult).
+ * @param {{error: Function, warn: Function, debug: Function}} logger - Where to log.
+ * @param {Map<string, object>|null} uniqueValues - The values used in unique columns (see anonymizeValue).
+ * @returns {{text: string, modified: boolean, dropped: boolean, hadError: boolean, droppedRows: number, columns: object, preview: object[], tokens: Array[], warnings: string[][]}} -
+ *   The text to write, whether the statement was modified, dropped altogether or had errors, the
+ *   number of rows dropped, the per-column counts, the preview rows, the tokens and the warnings about
+ *   the replacements of columns, as [label, message] pairs.
+ */
+function anonymizeInsert(job, logger, uniqueValues) {
+    const { statement, endLineNumber, tableName, columnRules, skippedRules, rowFilter, secret } = job;
+    const dialect = getDialect(job.dialect);
+    const { result, countValues, addPreview, addToken, warnColumn } = createResult(job.preview, job.vault);
+    let statementModified = false; // Track if the overall statement was modified
+    let statementHadAnonymizationError = false; // Track errors within value sets
+
+    try {
+        // Split the statement into the part before VALUES, the value sets and the tail
+        const insertParts = splitInsertValues(statement, dialect);
+        if (!insertParts) {
+            // If VALUES isn't found, it's not a standard INSERT we can process
+            result.text = statement;
+            return result; // Skip this statement
+        }
+        const { prefix, valuesPart, tail, valueSets } = insertParts;
+
+        // Excluded table: the whole statement goes, except the comments before it
+        if (job.exclude) {
+            logger.debug(`Dropping INSERT into excluded table ${tableName} ending near line ${endLineNumber}`);
+            result.droppedRows = valueSets.length;
+            result.dropped = true;
+            result.text = leadingText(statement, dialect);
+            return result;
+        }
+
+        const parseValue = (value) => parseLiteral(value, dialect);
+        const newValueSets = []; // Store original or modified value sets (as strings with parentheses), or null for dropped rows
+        let overallModified = false; // Track if *any* value set in this statement was modified or dropped
+        let keptValueSets = 0;
+
+        for (const [setIndex, { start, end }] of valueSets.entries()) {
+            const fullMatch = valuesPart.substring(start, end); // The value set including parentheses
+            const valuesString = fullMatch.slice(1, -1).trim(); // Just the values inside parentheses, trimmed
+            const anonymizeColumns = columnRules && columnRules.length > 0;
+            const values = rowFilter || anonymizeColumns ? splitTopLevel(valuesString, dialect) : null; // Parse the comma-separated values
+
+            // Dropped rows are left out before anonymizing anything
+            if (rowFilter && !keepRow(rowFilter, values, parseValue)) {
+                newValueSets.push(null);
+                result.droppedRows++;
+                overallModified = true;
+                continue;
+            }
+            keptValueSets++;
+
+            // Columns missing from the statement keep their values
+            countValues(skippedRules, 'skipped');
+            if (!anonymizeColumns) {
+                newValueSets.push(fullMatch);
+                continue;
+            }
+
+            const changedRules = []; // Columns changed in this value set, counted once the set succeeds
+            const changes = []; // Original and replacement values, for the preview
+            const tokens = []; // Arguments of addToken, added once the set succeeds
+            let currentRule; // Column being anonymized, to report which one failed
+            const random = rowRandom(job, `${job.statementNumber}:${setIndex}`);
+            try {
+                // Check if requested column indices are valid for this specific row
+                const maxIndex = columnRules[columnRules.length - 1].index;
+                if (maxIndex >= values.length) {
+                    logger.warn(`Stmt ending line ${endLineNumber}, value set: Found ${values.length} values, but needed index ${maxIndex}. Keeping original values.`);
+                    countValues(columnRules, 'skipped');
+                    newValueSets.push(fullMatch); // Keep original format
+                    continue; // Skip anonymization for this value set
+                }
+
+                // Anonymize the specified columns within this value set
+                columnRules.forEach((rule) => {
+                    const { index } = rule;
+                    currentRule = rule;
+                    const originalValue = values[index];
+                    // SAFETY CHECK: Only anonymize literals (strings, numbers, booleans, bytea, NULL),
+                    // never expressions such as function calls.
+                    const literal = parseLiteral(originalValue, dialect);
+                    const replacement = literal.kind !== 'expression' ? anonymizeValue(rule, literal, parseValue, secret, uniqueValues, random, warnColumn) : null;
+                    if (replacement !== null && literal.value === null && parseValue(replacement).value === null) {
+                        countValues([rule], 'unchanged'); // A NULL that stays NULL was neither anonymized nor kept back
+                    } else if (replacement !== null) {
+                        values[index] = replacement; // Replace value in the array
+                        changedRules.push(rule);
+                        changes.push({ rule, before: originalValue, after: replacement });
+                        tokens.push([rule, literal.value, parseValue(replacement).value]);
+                    } else if (literal.kind !== 'expression') {
+                        logger.debug(`Stmt line ${endLineNumber}: Keeping value at index ${index}, ${rule.restore ? 'which is not in the vault' : `as the replacement is not a valid ${literal.type}`}`);
+                        countValues([rule], 'skipped');
+                    } else {
+                        logger.debug(`Stmt line ${endLineNumber}: Skipping anonymization for non-literal value at index ${index}: ${originalValue}`);
+                        countValues([rule], 'skipped');
+                    }
+                });
+
+                // If this value set was modified, reconstruct it
+                if (changedRules.length > 0) {
+                    newValueSets.push(`( ${values.join(', ')} )`);
+                    countValues(changedRules, 'changed');
+                    tokens.forEach(token => addToken(...token));
+                    // The line of the value set, counting back from the end of the statement
+                    addPreview(() => endLineNumber - (statement.substring(prefix.length + start).match(/\n/g)?.length ?? 0), changes);
+                    overallModified = true; // Mark the whole statement as modified
+                } else {
+                    // Otherwise, keep the original matched string to preserve formatting
+                    newValueSets.push(fullMatch);
+                }
+            } catch (error) {
+                // Error parsing or processing a specific value set; its other columns keep their values too
+                statementHadAnonymizationError = true; // Mark statement as having an error
+                logger.error(`Failed to process value set in statement ending line ${endLineNumber}${currentRule ? `, column ${columnLabel(currentRule)}` : ''}: ${error.message}`);
+                logger.debug(`Value set: ${valuesString}`);
+                if (currentRule) {
+                    countValues([currentRule], 'failed');
+                    countValues(changedRules, 'skipped');
+                    countValues(columnRules.slice(columnRules.indexOf(currentRule) + 1), 'skipped');
+                } else {
+                    countValues(columnRules, 'failed');
+                }
+                newValueSets.push(fullMatch); // Keep original on error for this set
+            }
+        } // End loop over value sets
+
+        result.hadError = statementHadAnonymizationError;
+
+        // Without any row left the statement would not be valid SQL: drop it, keeping the comments before it
+        if (valueSets.length > 0 && keptValueSets === 0) {
+            logger.debug(`Dropping INSERT into ${tableName} ending near line ${endLineNumber}: all its rows were filtered out`);
+            result.dropped = true;
+            result.text = leadingText(statement, dialect);
+            return result;
+        }
+
+        // If any part of the statement was modified, reconstruct and write
+        if (overallModified) {
+            // Reconstruct the values part carefully to preserve structure between sets
+            let reconstructedValuesPart = '';
+            let written = 0;
+            valueSets.forEach(({ start }, matchIndex) => {
+                if (newValueSets[matchIndex] === null) {
+                    return; // Dropped row, along with the separator before it
+                }
+                // Append the content before this value set: VALUES for the first set written,
+                // otherwise the separator between the previous set and this one
+                reconstructedValuesPart += written++ === 0
+                    ? valuesPart.substring(0, valueSets[0].start)
+                    : valuesPart.substring(valueSets[matchIndex - 1].end, start);
+                // Append the (potentially modified) value set from our array
+                reconstructedValuesPart += newValueSets[matchIndex];
+            });
+
+            result.text = `${prefix}${reconstructedValuesPart}${tail}`; // Combine prefix, reconstructed values part and tail (as is)
+            statementModified = true; // Mark statement as modified for summary counting
+        }
+
+        // Write the original if no changes or only errors occurred
+        if (!statementModified) {
+            result.text = statement;
+        }
+        result.modified = statementModified;
+    } catch (error) {
+        // Error processing the overall INSERT statement (e.g., finding VALUES)
+        logger.error(`Failed to process statement ending line ${endLineNumber}: ${error.message}`);
+        logger.debug(`Statement (start): ${statement.substring(0, 150)}...`);
+        result.text = statement; // Write original statement on error
+        result.hadError = true;
+        result.modified = false;
+        result.dropped = false;
+    }
+    return result;
+}
+
+/**
+ * Anonymizes and filters rows of a COPY ... FROM stdin block of a target table.
+ * Fields are tab-separated and use COPY escaping (\N for NULL, \t, \\, ...).
+ * @param {object} job - The job.
+ * @param {{text: string, ending: string, line: number}[]} job.rows - The rows, without their line
+ *   endings (\n, \r\n, or empty on the last line), which are written back as is.
+ * @param {object[]|null} job.columnRules - The column rules with resolved indices (see resolveColumnRules).
+ * @param {object[]} job.skippedRules - The column rules that could not be resolved.
+ * @param {object|null} job.rowFilter - The row filter (see resolveRowFilter).
+ * @param {string} [job.secret] - Secret key for deterministic pseudonymization.
+ * @param {string} [job.seed] - Seed of the random replacements, used without a secret; each row is seeded
+ *   with its line number.
+ * @param {number} [job.preview] - How many anonymized rows to keep for the preview (see createResult).
+ * @param {boolean} [job.vault] - Whether to keep the replacements and original values for a vault (see createResult).
+ * @param {{error: Function, warn: Function, debug: Function}} logger - Where to log.
+ * @param {Map<string, object>|null} uniqueValues - The values used in unique columns (see anonymizeValue).
+ * @returns {{text: string, modified: boolean, hadError: boolean, droppedRows: number, columns: object, preview: object[], tokens: Array[], warnings: string[][]}} -
+ *   The rows to write, whether any was modified or dropped or had errors, the number of rows
+ *   dropped, the per-column counts, the preview rows, the tokens and the warnings about the
+ *   replacements of columns, as [label, message] pairs.
+ */
+function anonymizeCopyRows(job, logger, uniqueValues) {
+    const { rows, columnRules, skippedRules, rowFilter, secret } = job;
+    const { result, countValues, addPreview, addToken, warnColumn } = createResult(job.preview, job.vault);
+
+    for (const { text: line, ending, line: lineNumber } of rows) {
+        const fields = line.split('\t');
+        if (rowFilter && !keepRow(rowFilter, fields, parseCopyField)) {
+            result.droppedRows++;
+            result.modified = true;
+            continue;
+        }
+        countValues(skippedRules, 'skipped');
+        if (!columnRules || columnRules.length === 0) {
+            result.text += line + ending;
+            continue;
+        }
+
+        const maxIndex = columnRules[columnRules.length - 1].index;
+        if (maxIndex >= fields.length) {
+            logger.warn(`COPY row at line ${lineNumber}: Found ${fields.length} values, but needed index ${maxIndex}. Keeping original values.`);
+            countValues(columnRules, 'skipped');
+            result.text += line + ending;
+            continue;
+        }
+
+        const changedRules = [];
+        const changes = [];
+        const tokens = [];
+        let currentRule;
+        const random = rowRandom(job, String(lineNumber));
+        try {
+            columnRules.forEach((rule) => {
+                currentRule = rule;
+                const before = fields[rule.index];
+                const literal = parseCopyField(before);
+                const replacement = anonymizeValue(rule, literal, parseCopyField, secret, uniqueValues, random, warnColumn);
+                if (replacement === null) {
+                    countValues([rule], 'skipped'); // Not in the vault
+                    return;
+                }
+                if (literal.value === null && parseCopyField(replacement).value === null) {
+                    countValues([rule], 'unchanged'); // A NULL that stays NULL was neither anonymized nor kept back
+                    return;
+                }
+                fields[rule.index] = replacement;
+                changedRules.push(rule);
+                changes.push({ rule, before, after: replacement });
+                tokens.push([rule, literal.value, parseCopyField(replacement).value]);
+            });
+            result.text += fields.join('\t') + ending;
+            if (changedRules.length > 0) {
+                countValues(changedRules, 'changed');
+                tokens.forEach(token => addToken(...token));
+                addPreview(lineNumber, changes);
+                result.modified = true;
+            }
+        } catch (error) {
+            result.hadError = true;
+            logger.error(`Failed to process COPY row at line ${lineNumber}, column ${columnLabel(currentRule)}: ${error.message}`);
+            logger.debug(`COPY row: ${line}`);
+            countValues([currentRule], 'failed');
+            countValues(changedRules, 'skipped');
+            countValues(columnRules.slice(columnRules.indexOf(currentRule) + 1), 'skipped');
+            result.text += line + ending; // Keep original on error for this row
+        }
+    }
+    return result;
+}
+
+/**
+ * Runs a job.
+ * @param {{type: string}} job - An 'insert' job (see anonymizeInsert) or a 'copy' job (see anonymizeCopyRows).
+ * @param {{error: Function, warn: Function, debug: Function}} logger - Where to log.
+ * @param {Map<string, object>|null} [uniqueValues=null] - The values used so far in the unique columns
+ *   of the table, updated by the job; without it uniqueness is not enforced.
+ * @returns {object} - The result of the job.
+ */
+function runJob(job, logger, uniqueValues = null) {
+    switch (job.type) {
+        case 'insert':
+            return anonymizeInsert(job, logger, uniqueValues);
+        case 'copy':
+            return anonymizeCopyRows(job, logger, uniqueValues);
+        default:
+            throw new Error(`Unknown job type: ${job.type}`);
+    }
+}
+
+module.exports = {
+    columnLabel,
+    leadingText,
+    runJob,
+};
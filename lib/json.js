@@ -0,0 +1,248 @@
+/**
+ * Anonymization inside JSON documents, for json/jsonb columns (or text columns holding JSON).
+ *
+ * The values to anonymize are selected with JSONPath-style paths: `$.email`, `$.address.*`,
+ * `$.phones[0]`, `$.contacts[*].name` or `$['full name']`. A path selecting an object or an array
+ * anonymizes every value within it. Only the selected values are rewritten: the rest of the
+ * document, including its formatting and numbers too large for JavaScript, is kept as written.
+ */
+
+// A path segment after the root: .key, .*, [0], [*], ['key'] or ["key"]
+const PATH_SEGMENT_REGEX = /\.([A-Za-z_$][\w$-]*)|\.\*|\[\s*(?:(\d+)|\*|'((?:[^'\\]|\\.)*)'|"((?:[^"\\]|\\.)*)")\s*\]/y;
+const NUMBER_REGEX = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+const STRING_REGEX = /"(?:[^"\\\u0000-\u001f]|\\(?:["\\/bfnrt]|u[0-9a-fA-F]{4}))*"/y;
+const WHITESPACE_REGEX = /[ \t\n\r]*/y;
+
+// --- Paths ---
+
+/**
+ * Parses a JSONPath-style path.
+ * @param {string} path - The path, starting with `$` (e.g. `$.address.*`).
+ * @returns {(string|number|null)[]} - Its segments: object keys, array indices, and null for `*` (a plain
+ *   array, so that rules can be sent to worker threads).
+ */
+function parseJsonPath(path) {
+    if (typeof path !== 'string' || !path.startsWith('$')) {
+        throw new Error('Invalid JSON path: it must start with $, as in $.email or $.address.*');
+    }
+    const segments = [];
+    PATH_SEGMENT_REGEX.lastIndex = 1;
+    while (PATH_SEGMENT_REGEX.lastIndex < path.length) {
+        const start = PATH_SEGMENT_REGEX.lastIndex;
+        const match = PATH_SEGMENT_REGEX.exec(path);
+        if (!match) {
+            throw new Error(`Invalid JSON path: unexpected "${path.substring(start)}".`);
+        }
+        const [, name, index, singleQuoted, doubleQuoted] = match;
+        const quoted = singleQuoted ?? doubleQuoted;
+        if (name !== undefined) {
+            segments.push(name);
+        } else if (index !== undefined) {
+            segments.push(Number(index));
+        } else if (quoted !== undefined) {
+            segments.push(quoted.replace(/\\(.)/g, '$1'));
+        } else {
+            segments.push(null);
+        }
+    }
+    return segments;
+}
+
+// --- Parsing ---
+
+/**
+ * Parses a JSON document, keeping the position of every value so that it can be replaced in the text.
+ * @param {string} text - The JSON document.
+ * @returns {object} - The root node. Every node has a `type` (object, array, string, number, boolean
+ *   or null), a `start` and an `end`; objects have `entries` (`[key, node]` pairs), arrays `items`,
+ *   and the others their decoded `value` (as text for numbers).
+ */
+function parseJson(text) {
+    let position = 0;
+
+    // The message is logged at error level, so it never quotes the document
+    const fail = (expected) => {
+        const where = position < text.length ? `at position ${position}` : 'at the end of the document';
+        throw new Error(`Invalid JSON: expected ${expected} ${where}.`);
+    };
+    const skipWhitespace = () => {
+        WHITESPACE_REGEX.lastIndex = position;
+        WHITESPACE_REGEX.exec(text);
+        position = WHITESPACE_REGEX.lastIndex;
+    };
+    const match = (regex) => {
+        regex.lastIndex = position;
+        const result = regex.exec(text);
+        if (result) {
+            position = regex.lastIndex;
+        }
+        return result?.[0] ?? null;
+    };
+
+    const parseValue = () => {
+        skipWhitespace();
+        const start = position;
+        const char = text[position];
+        if (char === '{' || char === '[') {
+            return parseContainer(char === '{');
+        }
+        if (char === '"') {
+            const token = match(STRING_REGEX) ?? fail('a string');
+            return { type: 'string', start, end: position, value: JSON.parse(token) };
+        }
+        for (const [word, type] of [['true', 'boolean'], ['false', 'boolean'], ['null', 'null']]) {
+            if (text.startsWith(word, position)) {
+                position += word.length;
+                return { type, start, end: position, value: type === 'null' ? null : word };
+            }
+        }
+        const number = match(NUMBER_REGEX) ?? fail('a value');
+        return { type: 'number', start, end: position, value: number };
+    };
+
+    const parseContainer = (isObject) => {
+        const start = position++;
+        const node = isObject ? { type: 'object', entries: [] } : { type: 'array', items: [] };
+        const close = isObject ? '}' : ']';
+        skipWhitespace();
+        if (text[position] === close) {
+            position++;
+            return { ...node, start, end: position };
+        }
+        for (;;) {
+            if (isObject) {
+                skipWhitespace();
+                const key = JSON.parse(match(STRING_REGEX) ?? fail('a key'));
+                skipWhitespace();
+                if (text[position] !== ':') {
+                    fail('":"');
+                }
+                position++;
+                node.entries.push([key, parseValue()]);
+            } else {
+                node.items.push(parseValue());
+            }
+            skipWhitespace();
+            const separator = text[position];
+            if (separator !== ',' && separator !== close) {
+                fail(`"," or "${close}"`);
+            }
+            position++;
+            if (separator === close) {
+                return { ...node, start, end: position };
+            }
+        }
+    };
+
+    const root = parseValue();
+    skipWhitespace();
+    if (position < text.length) {
+        fail('the end of the document');
+    }
+    return root;
+}
+
+// --- Rewriting ---
+
+/**
+ * Collects the scalar values of a node: the node itself, or everything within an object or array.
+ * @param {object} node - The node (see parseJson).
+ * @param {object[]} leaves - Where to add the scalar nodes.
+ */
+function collectLeaves(node, leaves) {
+    if (node.type === 'object') {
+        node.entries.forEach(([, child]) => collectLeaves(child, leaves));
+    } else if (node.type === 'array') {
+        node.items.forEach(child => collectLeaves(child, leaves));
+    } else {
+        leaves.push(node);
+    }
+}
+
+/**
+ * Finds the nodes a path selects.
+ * @param {object} node - The node to start from.
+ * @param {(string|number|null)[]} segments - The remaining segments of the path (see parseJsonPath).
+ * @returns {object[]} - The selected nodes.
+ */
+function selectNodes(node, segments) {
+    if (segments.length === 0) {
+        return [node];
+    }
+    const [segment, ...rest] = segments;
+    let children = [];
+    if (node.type === 'object') {
+        children = node.entries.filter(([key]) => segment === null || key === segment).map(([, child]) => child);
+    } else if (node.type === 'array') {
+        if (segment === null) {
+            children = node.items;
+        } else if (typeof segment === 'number' && segment < node.items.length) {
+            children = [node.items[segment]];
+        }
+    }
+    return children.flatMap(child => selectNodes(child, rest));
+}
+
+/**
+ * Encodes a replacement as JSON, as the same type as the value it replaces.
+ * @param {string|number|boolean|null} value - The replacement value returned by a strategy.
+ * @param {{type: string}} node - The node it replaces.
+ * @returns {string} - The JSON text of the replacement.
+ * @throws {Error} - If the value cannot be written as that type (e.g. text for a number).
+ */
+function encodeReplacement(value, node) {
+    if (value === null || value === undefined) {
+        return 'null';
+    }
+    const text = String(value).trim();
+    switch (node.type) {
+        case 'number':
+            NUMBER_REGEX.lastIndex = 0;
+            if (NUMBER_REGEX.exec(text)?.[0] !== text) {
+                throw new Error('Replacement for a JSON number is not a number.');
+            }
+            return text;
+        case 'boolean':
+            if (!/^(?:true|false)$/i.test(text)) {
+                throw new Error('Replacement for a JSON boolean is not true or false.');
+            }
+            return text.toLowerCase();
+        default:
+            return JSON.stringify(String(value));
+    }
+}
+
+/**
+ * Anonymizes the values selected by paths in a JSON document. Values selected by several paths
+ * are anonymized by the first one; nulls are kept, and so are paths that select nothing.
+ * @param {string} text - The JSON document.
+ * @param {{path: (string|number|null)[]}[]} paths - The paths, with the parsed segments of each.
+ * @param {function(object, {kind: string, value: string}): *} replace - Returns the replacement of a value, given
+ *   the path that selected it and the value as a literal (kind string, number or boolean, see literals.js).
+ * @returns {string} - The document, with the selected values replaced.
+ * @throws {Error} - If the text is not valid JSON.
+ */
+function rewriteJson(text, paths, replace) {
+    const root = parseJson(text);
+    const replacements = new Map(); // Start position -> { node, path }
+    paths.forEach((path) => {
+        const leaves = [];
+        selectNodes(root, path.path).forEach(node => collectLeaves(node, leaves));
+        leaves.filter(node => node.type !== 'null' && !replacements.has(node.start))
+            .forEach(node => replacements.set(node.start, { node, path }));
+    });
+
+    let result = '';
+    let last = 0;
+    [...replacements.values()].sort((a, b) => a.node.start - b.node.start).forEach(({ node, path }) => {
+        const value = replace(path, { kind: node.type, value: node.value });
+        result += text.substring(last, node.start) + encodeReplacement(value, node);
+        last = node.end;
+    });
+    return result + text.substring(last);
+}
+
+module.exports = {
+    parseJsonPath,
+    rewriteJson,
+};
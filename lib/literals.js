@@ -0,0 +1,375 @@
+/**
+ * Helpers to convert between SQL literals as written in a dump and plain JavaScript values.
+ *
+ * A parsed literal keeps what is needed to write a replacement of the same kind, so that the
+ * anonymized dump still loads:
+ *   - `null`:       NULL
+ *   - `number`:     42, -1.5, 1e10
+ *   - `boolean`:    true, FALSE
+ *   - `bytea`:      '\x4869' or '\x4869'::bytea, or 0x4869 in MySQL (value holds the hex digits)
+ *   - `string`:     'text', E'escaped\n', '2021-01-01'::date, DATE '2021-01-01', _binary 'text'
+ *   - `expression`: anything else (function calls, operators, ...), which is never rewritten
+ *
+ * Strings are written back with the quoting of the original literal: `standard` ('' doubling),
+ * `escape` (PostgreSQL E'...' with backslash escapes) or `mysql` (backslash escapes everywhere).
+ * The type of a cast or typed string (`date`, `uuid`, `timestamptz`, ...) is kept as `type`: the
+ * database parses the replacement as that type, so it must be a valid value of it (see fitsType).
+ *
+ * Fields of COPY ... FROM stdin data blocks are parsed with parseCopyField instead. They carry
+ * no type information, so their kind is inferred from the text and only guides strategies
+ * such as `random`; the replacement is always written back as a COPY text field.
+ */
+
+const { DIALECTS } = require('./dialects');
+
+const NUMBER_REGEX = /^[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?$/;
+const BOOLEAN_REGEX = /^(?:true|false)$/i;
+const TYPED_PREFIX_REGEX = /^(?:(?:DATE|TIME|TIMESTAMP|TIMESTAMPTZ|TIMETZ|INTERVAL)(?:\s+WITH(?:OUT)?\s+TIME\s+ZONE)?\s+)?$/i;
+const MYSQL_PREFIX_REGEX = /^(?:_\w+\s*|(?:DATE|TIME|TIMESTAMP)\s+)?$/i;
+const MYSQL_HEX_REGEX = /^(?:0x((?:[0-9a-fA-F]{2})*)|[Xx]'((?:[0-9a-fA-F]{2})*)')$/;
+const CAST_SUFFIX_REGEX = /^(?:\s*::\s*[\w\s."[\](),]+)?$/;
+const BYTEA_HEX_REGEX = /^\\x((?:[0-9a-fA-F]{2})*)$/;
+const TYPE_MODIFIER_REGEX = /\(\s*\d+(?:\s*,\s*\d+)?\s*\)/g;
+
+// Other names of the types, as PostgreSQL and MySQL write them, and their names in pg_dump output
+const TYPE_ALIASES = {
+    'character varying': 'varchar',
+    character: 'char',
+    'timestamp with time zone': 'timestamptz',
+    'timestamp without time zone': 'timestamp',
+    'time with time zone': 'timetz',
+    'time without time zone': 'time',
+    datetime: 'timestamp',
+    int: 'int4',
+    integer: 'int4',
+    smallint: 'int2',
+    bigint: 'int8',
+    decimal: 'numeric',
+    real: 'float4',
+    float: 'float8',
+    'double precision': 'float8',
+    boolean: 'bool',
+};
+// What the types of typed strings hold, for the ones whose values can be checked
+const TYPE_CATEGORIES = {
+    text: 'text', varchar: 'text', char: 'text', bpchar: 'text', name: 'text', citext: 'text',
+    date: 'date',
+    timestamp: 'timestamp', timestamptz: 'timestamp',
+    time: 'time', timetz: 'time',
+    uuid: 'uuid',
+    int2: 'number', int4: 'number', int8: 'number', numeric: 'number', float4: 'number', float8: 'number',
+    bool: 'boolean',
+    json: 'json', jsonb: 'json',
+};
+// Checks that a replacement is a valid value of a category of types
+const CATEGORY_CHECKS = {
+    text: () => true,
+    date: text => /^\d{4}-\d{2}-\d{2}$/.test(text),
+    timestamp: text => /^\d{4}-\d{2}-\d{2}(?:[ T]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?)?(?:\s*(?:Z|[+-]\d{2}(?::?\d{2})?))?$/i.test(text),
+    time: text => /^\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:[+-]\d{2}(?::?\d{2})?)?$/.test(text),
+    uuid: text => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(text),
+    number: text => NUMBER_REGEX.test(text.trim()),
+    boolean: text => BOOLEAN_REGEX.test(text.trim()),
+    json: (text) => {
+        try {
+            JSON.parse(text);
+            return true;
+        } catch {
+            return false;
+        }
+    },
+};
+
+const ESCAPE_SEQUENCES = { b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+const ESCAPE_ENCODINGS = { '\\': '\\\\', "'": "\\'", '\b': '\\b', '\f': '\\f', '\n': '\\n', '\r': '\\r', '\t': '\\t' };
+const MYSQL_ESCAPE_SEQUENCES = { 0: '\0', b: '\b', n: '\n', r: '\r', t: '\t', Z: '\x1a', '%': '\\%', _: '\\_' };
+const MYSQL_ESCAPE_ENCODINGS = { '\\': '\\\\', "'": "\\'", '"': '\\"', '\0': '\\0', '\n': '\\n', '\r': '\\r', '\x1a': '\\Z' };
+const COPY_ESCAPE_SEQUENCES = { ...ESCAPE_SEQUENCES, v: '\v' };
+const COPY_ESCAPE_ENCODINGS = { '\\': '\\\\', '\b': '\\b', '\f': '\\f', '\n': '\\n', '\r': '\\r', '\t': '\\t', '\v': '\\v' };
+
+/**
+ * Normalizes the name of a type, as found in a cast or before a typed string.
+ * @param {string} name - The type, e.g. `character varying(255)`, `pg_catalog."timestamp"` or `TIMESTAMP WITH TIME ZONE`.
+ * @returns {string} - The type in lower case, without quotes, modifiers or the pg_catalog schema, and with
+ *   the names PostgreSQL uses internally for its aliases (e.g. varchar, timestamptz, int4).
+ */
+function normalizeType(name) {
+    const type = name.replace(/"/g, '').replace(TYPE_MODIFIER_REGEX, '').replace(/\s+/g, ' ').trim().toLowerCase()
+        .replace(/^pg_catalog\./, '');
+    return TYPE_ALIASES[type] ?? type;
+}
+
+/**
+ * Returns what a type holds, for the types whose values can be checked.
+ * @param {string|null|undefined} type - The normalized type (see normalizeType).
+ * @returns {string|null} - text, date, timestamp, time, uuid, number, boolean or json; null for any other type.
+ */
+function typeCategory(type) {
+    return TYPE_CATEGORIES[type] ?? null;
+}
+
+/**
+ * Decodes the content of a PostgreSQL escape string (E'...').
+ * @param {string} content - The text between the quotes.
+ * @returns {string} - The decoded text.
+ */
+function decodeEscapeString(content) {
+    return content.replace(/''|\\(?:([0-7]{1,3})|x([0-9a-fA-F]{1,2})|u([0-9a-fA-F]{4})|U([0-9a-fA-F]{8})|([\s\S]))/g,
+        (match, octal, hex, u4, u8, char) => {
+            if (match === "''") return "'";
+            if (octal) return String.fromCharCode(parseInt(octal, 8));
+            if (hex) return String.fromCharCode(parseInt(hex, 16));
+            if (u4 || u8) return String.fromCodePoint(parseInt(u4 || u8, 16));
+            return ESCAPE_SEQUENCES[char] ?? char;
+        });
+}
+
+/**
+ * Decodes the content of a MySQL string, where backslash escapes are always active.
+ * As in MySQL, \% and \_ keep their backslash.
+ * @param {string} content - The text between the quotes.
+ * @returns {string} - The decoded text.
+ */
+function decodeMysqlString(content) {
+    return content.replace(/''|\\([\s\S])/g, (match, char) => {
+        if (match === "''") return "'";
+        return MYSQL_ESCAPE_SEQUENCES[char] ?? char;
+    });
+}
+
+/**
+ * Quotes a text as an SQL string literal.
+ * @param {string} text - The text to quote.
+ * @param {string} [quoting='standard'] - `standard` ('' doubling), `escape` (PostgreSQL E'...')
+ *   or `mysql` (backslash escapes).
+ * @returns {string} - The quoted string.
+ */
+function quoteString(text, quoting = 'standard') {
+    if (quoting === 'escape') {
+        return `E'${text.replace(/[\\'\b\f\n\r\t]/g, char => ESCAPE_ENCODINGS[char])}'`;
+    }
+    if (quoting === 'mysql') {
+        return `'${text.replace(/[\\'"\0\n\r\x1a]/g, char => MYSQL_ESCAPE_ENCODINGS[char])}'`;
+    }
+    return `'${text.replace(/'/g, "''")}'`;
+}
+
+/**
+ * Parses a single value of a VALUES list into a literal description.
+ * @param {string} raw - The value as found in the VALUES list (e.g., 'O''Brien' or 42).
+ * @param {{name: string, backslashEscapes: boolean}} [dialect=DIALECTS.postgres] - The dialect of the dump.
+ * @returns {{kind: string, value: string|null, quoting?: string, prefix?: string, suffix?: string, type?: string|null, upperCase?: boolean}}
+ *   - The literal. `value` is the decoded text (or null for NULL), ready to be passed to a strategy. For
+ *   strings, `type` is the normalized type of the cast or type prefix (e.g. `date` for `'2021-01-01'::date`
+ *   and `DATE '2021-01-01'`), or null for plain strings.
+ */
+function parseLiteral(raw, dialect = DIALECTS.postgres) {
+    const mysql = dialect.backslashEscapes;
+    const trimmed = raw.trim();
+    if (trimmed.toUpperCase() === 'NULL') {
+        return { kind: 'null', value: null, quoting: mysql ? 'mysql' : 'standard' };
+    }
+    if (NUMBER_REGEX.test(trimmed)) {
+        return { kind: 'number', value: trimmed };
+    }
+    if (BOOLEAN_REGEX.test(trimmed)) {
+        return { kind: 'boolean', value: trimmed.toLowerCase(), upperCase: trimmed === trimmed.toUpperCase() };
+    }
+    const hexMatch = mysql ? trimmed.match(MYSQL_HEX_REGEX) : null;
+    if (hexMatch) {
+        return { kind: 'bytea', value: hexMatch[1] ?? hexMatch[2], hexLiteral: true };
+    }
+
+    // Strings, with an optional type prefix (DATE '...', _binary '...'), E prefix and ::type cast
+    const quoteStart = trimmed.indexOf("'");
+    if (quoteStart === -1) {
+        return { kind: 'expression', value: trimmed };
+    }
+    let prefix = trimmed.substring(0, quoteStart);
+    let quoting = mysql ? 'mysql' : 'standard';
+    if (!mysql && /(?:^|\s)[Ee]$/.test(prefix)) {
+        quoting = 'escape';
+        prefix = prefix.slice(0, -1);
+    }
+    if (!(mysql ? MYSQL_PREFIX_REGEX : TYPED_PREFIX_REGEX).test(prefix)) {
+        return { kind: 'expression', value: trimmed };
+    }
+
+    let quoteEnd = -1;
+    for (let i = quoteStart + 1; i < trimmed.length; i++) {
+        if (quoting !== 'standard' && trimmed[i] === '\\') {
+            i++; // Skip the escaped character
+        } else if (trimmed[i] === "'") {
+            if (trimmed[i + 1] === "'") {
+                i++; // Doubled quote
+            } else {
+                quoteEnd = i;
+                break;
+            }
+        }
+    }
+    const suffix = quoteEnd === -1 ? null : trimmed.substring(quoteEnd + 1);
+    if (suffix === null || !(mysql ? suffix === '' : CAST_SUFFIX_REGEX.test(suffix))) {
+        return { kind: 'expression', value: trimmed };
+    }
+
+    const content = trimmed.substring(quoteStart + 1, quoteEnd);
+    let value;
+    if (quoting === 'mysql') {
+        value = decodeMysqlString(content);
+    } else if (quoting === 'escape') {
+        value = decodeEscapeString(content);
+    } else {
+        value = content.replace(/''/g, "'");
+    }
+    const byteaMatch = mysql ? null : value.match(BYTEA_HEX_REGEX);
+    if (byteaMatch && !prefix && (!suffix || /^\s*::\s*bytea\s*$/i.test(suffix))) {
+        return { kind: 'bytea', value: byteaMatch[1], quoting, suffix };
+    }
+    const castType = suffix ? suffix.substring(suffix.indexOf('::') + 2) : '';
+    const prefixType = /^_/.test(prefix.trim()) ? '' : prefix; // MySQL character set introducers, such as _binary
+    const type = castType.trim() || prefixType.trim() ? normalizeType(castType.trim() || prefixType) : null;
+    return { kind: 'string', value, prefix, quoting, suffix, type };
+}
+
+/**
+ * Checks that a replacement can be written in place of a literal, as a valid value of its type. Replacements
+ * of typed strings must be valid values of their type; those of types that cannot be checked never are.
+ * @param {string|number|boolean|null} value - The replacement value returned by a strategy.
+ * @param {object} literal - The original literal, as returned by parseLiteral or parseCopyField.
+ * @returns {boolean} - True if the replacement fits; NULL always does.
+ */
+function fitsType(value, literal) {
+    if (value === null || value === undefined || !literal.type) {
+        return true;
+    }
+    const category = typeCategory(literal.type);
+    return category !== null && CATEGORY_CHECKS[category](String(value));
+}
+
+/**
+ * Parses a field of a COPY ... FROM stdin data row (text format).
+ * @param {string} field - The raw field, as found between tabs (e.g., O'Brien, \N or a\tb).
+ * @returns {{kind: string, value: string|null, copy: true}} - The literal, with the COPY escapes decoded.
+ */
+function parseCopyField(field) {
+    if (field === '\\N') {
+        return { kind: 'null', value: null, copy: true };
+    }
+    const value = field.replace(/\\(?:([0-7]{1,3})|x([0-9a-fA-F]{1,2})|([\s\S]))/g, (match, octal, hex, char) => {
+        if (octal) return String.fromCharCode(parseInt(octal, 8));
+        if (hex) return String.fromCharCode(parseInt(hex, 16));
+        return COPY_ESCAPE_SEQUENCES[char] ?? char;
+    });
+    const byteaMatch = value.match(BYTEA_HEX_REGEX);
+    if (byteaMatch) {
+        return { kind: 'bytea', value: byteaMatch[1], copy: true };
+    }
+    if (NUMBER_REGEX.test(value)) {
+        return { kind: 'number', value, copy: true };
+    }
+    if (value === 't' || value === 'f') {
+        return { kind: 'boolean', value, copy: true };
+    }
+    return { kind: 'string', value, copy: true };
+}
+
+/**
+ * Encodes a replacement value as a field of a COPY ... FROM stdin data row (text format).
+ * @param {string|number|boolean|null} value - The replacement value returned by a strategy.
+ * @param {object} literal - The original field, as returned by parseCopyField.
+ * @returns {string} - The escaped field.
+ */
+function formatCopyField(value, literal) {
+    if (value === null || value === undefined) {
+        return '\\N';
+    }
+    let text;
+    if (typeof value === 'boolean') {
+        text = value ? 't' : 'f';
+    } else if (literal.kind === 'bytea') {
+        text = `\\x${String(value).replace(/^\\x/, '')}`;
+    } else {
+        text = String(value);
+    }
+    return text.replace(/[\\\b\f\n\r\t\v]/g, char => COPY_ESCAPE_ENCODINGS[char]);
+}
+
+/**
+ * Encodes a JavaScript value as an SQL literal, without any knowledge of the original literal.
+ * @param {string|number|boolean|null} value - The value to encode.
+ * @param {string} [quoting='standard'] - How to quote strings (see quoteString).
+ * @returns {string} - The SQL literal (e.g., 'abc', 42, TRUE or NULL).
+ */
+function encodeLiteral(value, quoting = 'standard') {
+    if (value === null || value === undefined) {
+        return 'NULL';
+    }
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value)) {
+            throw new Error(`Cannot encode non-finite number as SQL literal: ${value}`);
+        }
+        return String(value);
+    }
+    if (typeof value === 'boolean') {
+        return value ? 'TRUE' : 'FALSE';
+    }
+    return quoteString(String(value), quoting);
+}
+
+/**
+ * Encodes a replacement value as an SQL literal of the same kind as the original literal.
+ * @param {string|number|boolean|null} value - The replacement value returned by a strategy.
+ * @param {object} literal - The original literal, as returned by parseLiteral.
+ * @returns {string} - The SQL literal.
+ * @throws {Error} - If the value cannot be written as that kind of literal (e.g. text for a number).
+ */
+function formatLiteral(value, literal) {
+    if (literal.copy) {
+        return formatCopyField(value, literal);
+    }
+    if (value === null || value === undefined) {
+        return 'NULL';
+    }
+    switch (literal.kind) {
+        case 'number': {
+            const text = String(value).trim();
+            if (!NUMBER_REGEX.test(text)) {
+                throw new Error('Replacement for a numeric literal is not a number.');
+            }
+            return text;
+        }
+        case 'boolean': {
+            const text = String(value).trim();
+            if (!BOOLEAN_REGEX.test(text)) {
+                throw new Error('Replacement for a boolean literal is not true or false.');
+            }
+            return literal.upperCase ? text.toUpperCase() : text.toLowerCase();
+        }
+        case 'bytea': {
+            const hex = String(value).replace(/^\\x/, '');
+            if (!/^(?:[0-9a-fA-F]{2})*$/.test(hex)) {
+                throw new Error('Replacement for a bytea literal is not an even-length hex string.');
+            }
+            if (literal.hexLiteral) {
+                return hex ? `0x${hex}` : "''";
+            }
+            return `${quoteString(`\\x${hex}`, literal.quoting)}${literal.suffix}`;
+        }
+        case 'string':
+            return `${literal.prefix}${quoteString(String(value), literal.quoting)}${literal.suffix}`;
+        default:
+            return encodeLiteral(value, literal.quoting);
+    }
+}
+
+module.exports = {
+    parseLiteral,
+    typeCategory,
+    fitsType,
+    formatLiteral,
+    parseCopyField,
+    formatCopyField,
+    encodeLiteral,
+    quoteString,
+};
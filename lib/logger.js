@@ -0,0 +1,68 @@
+/**
+ * Leveled logger.
+ *
+ * Levels, from quietest to most verbose: silent, error, warn, info, debug. Errors and warnings go
+ * to stderr, info and debug messages to stdout (or to stderr too, when stdout carries the dump).
+ * Content of the dump (values, rows, statement previews) must only ever be logged at debug level.
+ */
+
+const util = require('util');
+
+const LOG_LEVELS = ['silent', 'error', 'warn', 'info', 'debug'];
+
+/**
+ * Creates a logger.
+ * @param {string} [level='info'] - The most verbose level to print.
+ * @param {object} [streams] - Where to write.
+ * @param {import('stream').Writable} [streams.out=process.stdout] - Stream for info and debug messages.
+ * @param {import('stream').Writable} [streams.err=process.stderr] - Stream for errors and warnings.
+ * @returns {{level: string, error: Function, warn: Function, info: Function, debug: Function}} - The logger.
+ */
+function createLogger(level = 'info', { out = process.stdout, err = process.stderr } = {}) {
+    const threshold = LOG_LEVELS.indexOf(level);
+    if (threshold === -1) {
+        throw new Error(`Unknown log level: ${level}. Available: ${LOG_LEVELS.join(', ')}`);
+    }
+    const print = (minimum, stream, prefix) => (threshold >= LOG_LEVELS.indexOf(minimum)
+        ? (...args) => stream.write(`${prefix}${util.format(...args)}\n`)
+        : () => {});
+    return {
+        level,
+        error: print('error', err, 'ERROR: '),
+        warn: print('warn', err, 'WARN: '),
+        info: print('info', out, ''),
+        debug: print('debug', out, 'DEBUG: '),
+    };
+}
+
+/**
+ * Creates a logger that keeps its messages instead of printing them, so that they can be printed
+ * later by another logger. Worker threads use it, and the main thread prints their messages in order.
+ * @param {string} [level='debug'] - The most verbose level to keep.
+ * @returns {{level: string, entries: string[][], error: Function, warn: Function, info: Function, debug: Function}} -
+ *   The logger; `entries` holds the `[level, message]` pairs kept so far.
+ */
+function createRecordingLogger(level = 'debug') {
+    const threshold = LOG_LEVELS.indexOf(level);
+    if (threshold === -1) {
+        throw new Error(`Unknown log level: ${level}. Available: ${LOG_LEVELS.join(', ')}`);
+    }
+    const entries = [];
+    const record = (minimum) => (threshold >= LOG_LEVELS.indexOf(minimum)
+        ? (...args) => entries.push([minimum, util.format(...args)])
+        : () => {});
+    return {
+        level,
+        entries,
+        error: record('error'),
+        warn: record('warn'),
+        info: record('info'),
+        debug: record('debug'),
+    };
+}
+
+module.exports = {
+    LOG_LEVELS,
+    createLogger,
+    createRecordingLogger,
+};
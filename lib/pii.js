@@ -0,0 +1,122 @@
+/**
+ * Detectors for values that look like personal data (PII).
+ *
+ * Each detector recognizes a whole value, after trimming. Checksums (mod-97 for IBANs, Luhn for
+ * card numbers, the control letter of DNI/NIE numbers) keep false positives on ids and codes low.
+ *
+ * The strategy suggested for each type gives values the detectors do not recognize again, so that
+ * scanning a dump anonymized with the suggested config finds nothing: `mask` would not do, as masked
+ * phone numbers are still phone numbers and masked IBANs or DNIs pass their checksum by chance.
+ */
+
+const DNI_LETTERS = 'TRWAGMYFPDXBNJZSQVHLCKE';
+
+// Domains reserved for documentation and tests (RFC 2606), such as the example.com addresses the
+// email strategy generates: they cannot belong to anyone
+const RESERVED_EMAIL_DOMAIN = /@(?:[^@]+\.)?(?:example\.(?:com|net|org)|example|test|invalid|localhost)$/i;
+
+/**
+ * Checks the mod-97 checksum of an IBAN.
+ * @param {string} iban - The IBAN, without spaces and upper-cased.
+ * @returns {boolean} - True if the checksum is valid.
+ */
+function isValidIban(iban) {
+    const rearranged = iban.substring(4) + iban.substring(0, 4);
+    let remainder = 0;
+    for (const char of rearranged) {
+        const digits = /\d/.test(char) ? char : String(char.charCodeAt(0) - 55); // A = 10, ..., Z = 35
+        for (const digit of digits) {
+            remainder = (remainder * 10 + Number(digit)) % 97;
+        }
+    }
+    return remainder === 1;
+}
+
+/**
+ * Checks the Luhn checksum of a card number.
+ * @param {string} digits - The card number digits.
+ * @returns {boolean} - True if the checksum is valid.
+ */
+function isValidLuhn(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+// In the order they are tried: a value is reported under the first detector that recognizes it
+const DETECTORS = [
+    {
+        type: 'email',
+        strategy: 'email',
+        test: (value) => /^[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}$/.test(value)
+            && !RESERVED_EMAIL_DOMAIN.test(value),
+    },
+    {
+        type: 'iban',
+        strategy: 'redact',
+        test: (value) => {
+            const iban = value.replace(/ /g, '').toUpperCase();
+            return /^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(iban) && isValidIban(iban);
+        },
+    },
+    {
+        type: 'credit-card',
+        strategy: 'redact',
+        test: (value) => {
+            if (!/^\d(?:[ -]?\d){12,18}$/.test(value)) return false;
+            return isValidLuhn(value.replace(/[ -]/g, ''));
+        },
+    },
+    {
+        // Spanish national id (DNI, 12345678Z) and foreigner id (NIE, X1234567L)
+        type: 'national-id',
+        strategy: 'redact',
+        test: (value) => {
+            const match = value.toUpperCase().match(/^([XYZ]?)-?(\d{7,8})-?([A-Z])$/);
+            if (!match || match[2].length !== (match[1] ? 7 : 8)) return false;
+            // The NIE letter stands for a leading digit: X = 0, Y = 1, Z = 2
+            const number = Number((match[1] ? String('XYZ'.indexOf(match[1])) : '') + match[2]);
+            return DNI_LETTERS[number % 23] === match[3];
+        },
+    },
+    {
+        // International (+34 612 345 678) or formatted ((555) 123-4567) numbers; bare digit strings
+        // are left out, as they are more often ids than phone numbers
+        type: 'phone',
+        strategy: 'redact',
+        test: (value) => {
+            if (!/^\+?[\d(][\d\s().-]*\d$/.test(value) || /^\d+\.\d+$/.test(value)) return false;
+            const digits = value.replace(/\D/g, '').length;
+            return digits >= 9 && digits <= 15 && (value.startsWith('+') || /[\s().-]/.test(value));
+        },
+    },
+];
+
+/**
+ * Finds which kind of personal data a value looks like.
+ * @param {string|null} value - The decoded value (null for SQL NULL).
+ * @returns {{type: string, strategy: string}|null} - The PII type and a strategy suited to anonymize it, or null.
+ */
+function detectPii(value) {
+    if (value === null) {
+        return null;
+    }
+    const trimmed = value.trim();
+    if (trimmed.length < 6 || trimmed.length > 254) {
+        return null;
+    }
+    const detector = DETECTORS.find(({ test }) => test(trimmed));
+    return detector ? { type: detector.type, strategy: detector.strategy } : null;
+}
+
+module.exports = {
+    PII_TYPES: DETECTORS.map(({ type }) => type),
+    detectPii,
+};
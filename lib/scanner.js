@@ -0,0 +1,172 @@
+/**
+ * The PII scanner: reads an SQL dump and counts, per table and column, the values that look like
+ * personal data (see pii.js). The values themselves are never kept or reported.
+ *
+ * Run on an input dump it tells what should be anonymized; run on an anonymized dump it checks
+ * that nothing slipped through.
+ */
+
+const { Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { parseLiteral, parseCopyField } = require('./literals');
+const { getDialect } = require('./dialects');
+const { splitTopLevel, createDumpReader } = require('./tokenizer');
+const { createColumnCatalog, parseInsert, splitInsertValues, parseCopy } = require('./statements');
+const { detectPii } = require('./pii');
+const { openSource } = require('./sources');
+const { createLogger } = require('./logger');
+
+const silentLogger = createLogger('silent');
+
+/**
+ * Creates a scanner stream. Write the SQL dump to it; once it has finished, the findings are
+ * available as `scanner.findings` and emitted with a 'findings' event.
+ * @param {object} [options] - The scan options.
+ * @param {string} [options.dialect='auto'] - The SQL dialect of the dump: 'auto', 'postgres' or 'mysql'.
+ * @param {{error: Function, warn: Function, info: Function, debug: Function}} [options.logger] - Where to log
+ *   progress. Nothing is logged by default.
+ * @returns {Writable} - The scanner stream. Its findings are
+ *   `{ scannedRows, scannedValues, columns: [{ table, column, columnName, type, count, strategy }] }`,
+ *   where `column` is the 1-based position of the column and `strategy` a suggested way to anonymize it.
+ */
+function createScanner(options = {}) {
+    const dialectName = options.dialect ?? 'auto';
+    const logger = options.logger ?? silentLogger;
+    const reader = createDumpReader({ dialect: dialectName === 'auto' ? null : getDialect(dialectName), logger });
+    const columnCatalog = createColumnCatalog();
+    let copyTable = null; // Set while reading the data rows of a COPY ... FROM stdin block
+    let scannedRows = 0;
+    let scannedValues = 0;
+    const counts = new Map(); // `${table}\0${index}\0${type}` -> finding
+
+    /**
+     * Checks the values of one row.
+     * @param {string} tableName - The normalized table name.
+     * @param {string[]|undefined} columnNames - The column names of the row, if known.
+     * @param {object[]} literals - The parsed values (see parseLiteral and parseCopyField).
+     */
+    const scanRow = (tableName, columnNames, literals) => {
+        scannedRows++;
+        literals.forEach((literal, index) => {
+            if (literal.kind === 'expression' || literal.kind === 'null') {
+                return;
+            }
+            scannedValues++;
+            const pii = detectPii(literal.value);
+            if (!pii) {
+                return;
+            }
+            const key = `${tableName}\0${index}\0${pii.type}`;
+            if (!counts.has(key)) {
+                counts.set(key, {
+                    table: tableName,
+                    column: index + 1,
+                    columnName: columnNames?.[index] ?? null,
+                    type: pii.type,
+                    count: 0,
+                    strategy: pii.strategy,
+                });
+            }
+            counts.get(key).count++;
+        });
+    };
+
+    /**
+     * Processes a complete SQL statement: learns CREATE TABLE columns, starts COPY blocks and scans INSERT rows.
+     * @param {string} statement - The statement.
+     * @param {number} endLineNumber - The line number where the statement ended in the input.
+     */
+    const scanStatement = (statement, endLineNumber) => {
+        // Until the dialect is detected, PostgreSQL is assumed
+        const statementDialect = reader.dialect || getDialect('postgres');
+        columnCatalog.learn(statement, statementDialect);
+
+        const copy = parseCopy(statement);
+        if (copy) {
+            logger.debug(`Scanning COPY block of table ${copy.tableName} ending near line ${endLineNumber}`);
+            copyTable = /\b(?:CSV|BINARY)\b/i.test(copy.options)
+                ? null
+                : { tableName: copy.tableName, columnNames: copy.columnNames ?? columnCatalog.get(copy.tableName) };
+            return;
+        }
+
+        const insert = parseInsert(statement, statementDialect);
+        if (!insert) {
+            return;
+        }
+        const insertParts = splitInsertValues(statement, statementDialect);
+        if (!insertParts) {
+            return;
+        }
+        logger.debug(`Scanning INSERT into ${insert.tableName} ending near line ${endLineNumber}`);
+        const columnNames = insert.columnNames ?? columnCatalog.get(insert.tableName);
+        const { valuesPart, valueSets } = insertParts;
+        for (const { start, end } of valueSets) {
+            const values = splitTopLevel(valuesPart.substring(start + 1, end - 1), statementDialect);
+            scanRow(insert.tableName, columnNames, values.map(value => parseLiteral(value, statementDialect)));
+        }
+    };
+
+    /**
+     * Dispatches an item of the statement splitter.
+     * @param {object} item - A statement, COPY row, COPY terminator or trailing text (see createStatementSplitter).
+     */
+    const processItem = (item) => {
+        switch (item.type) {
+            case 'statement':
+            case 'trailing':
+                scanStatement(item.text, item.endLine);
+                break;
+            case 'copy-row':
+                if (copyTable) {
+                    scanRow(copyTable.tableName, copyTable.columnNames, item.text.split('\t').map(parseCopyField));
+                }
+                break;
+            case 'copy-end':
+                copyTable = null;
+                break;
+        }
+    };
+
+    const scanner = new Writable({
+        write(chunk, encoding, callback) {
+            try {
+                reader.push(chunk).forEach(processItem);
+                callback();
+            } catch (err) {
+                callback(err);
+            }
+        },
+        final(callback) {
+            try {
+                reader.end().forEach(processItem);
+                const columns = [...counts.values()].sort((a, b) => a.table.localeCompare(b.table) || a.column - b.column || b.count - a.count);
+                scanner.findings = { scannedRows, scannedValues, columns };
+                scanner.emit('findings', scanner.findings);
+                callback();
+            } catch (err) {
+                callback(err);
+            }
+        },
+    });
+    return scanner;
+}
+
+/**
+ * Scans a whole dump for PII.
+ * @param {string|Readable|{open: Function}} input - Path of the SQL file (compressed or not), `-` for stdin, a
+ *   readable stream, or a source adapter (see sources.js).
+ * @param {object} [options] - The scan options (see createScanner).
+ * @returns {Promise<object>} - The findings (see createScanner).
+ */
+async function scanFile(input, options) {
+    const scanner = createScanner(options);
+    const source = await openSource(input);
+    await pipeline(source, scanner);
+    return scanner.findings;
+}
+
+module.exports = {
+    createScanner,
+    scanFile,
+};
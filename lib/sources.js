@@ -0,0 +1,179 @@
+/**
+ * Source adapters: where the dump comes from when it is not a file.
+ *
+ * A source adapter is an object with a `description` for messages and an `open()` method resolving
+ * with `{ stream }`, a readable stream of the SQL dump. Anything accepting an input (anonymizeFile,
+ * scanFile) takes a file path, a stream or an adapter. Two adapters are provided:
+ *   - createExecSource runs a command and reads the dump from its stdout (`pg_dump mydb`), so
+ *     no intermediate file is needed;
+ *   - createRowSource turns rows read from anywhere (a database cursor, an API, or plain arrays
+ *     in tests) into INSERT statements.
+ */
+
+const { spawn } = require('child_process');
+const { PassThrough, Readable } = require('stream');
+const { getDialect } = require('./dialects');
+const { encodeLiteral } = require('./literals');
+const { openInput } = require('./io');
+
+// How much of the end of a command's stderr is kept for the error message when it fails
+const MAX_STDERR_LENGTH = 2048;
+// Identifiers that PostgreSQL accepts without quotes
+const PLAIN_IDENTIFIER = /^[a-z_][a-z0-9_$]*$/;
+
+/**
+ * Opens the input of a run.
+ * @param {string|Readable|{open: Function}} input - A file path (compressed or not), `-` for stdin, a
+ *   readable stream or a source adapter.
+ * @returns {Promise<Readable>} - The stream of the dump.
+ */
+async function openSource(input) {
+    if (typeof input === 'string') {
+        return (await openInput(input)).stream;
+    }
+    if (typeof input?.open === 'function') {
+        return (await input.open()).stream;
+    }
+    return input;
+}
+
+/**
+ * Creates an adapter reading the dump from the stdout of a command, run with the shell. The stream
+ * fails if the command cannot be started or exits with an error, with the end of its stderr in the
+ * message. Compressed output (gzip, zstd) is decompressed.
+ * @param {string} command - The command, e.g. `pg_dump mydb`.
+ * @param {object} [options] - The adapter options.
+ * @param {import('stream').Writable} [options.stderr] - Where to copy the stderr of the command as it runs
+ *   (e.g. process.stderr); it is only kept for error messages by default.
+ * @returns {{description: string, open: function(): Promise<{stream: Readable}>}} - The adapter.
+ */
+function createExecSource(command, options = {}) {
+    return {
+        description: `command \`${command}\``,
+        open: async () => {
+            const child = spawn(command, { shell: true, stdio: ['ignore', 'pipe', 'pipe'] });
+            const output = new PassThrough();
+            let stderr = '';
+            child.stderr.on('data', (data) => {
+                options.stderr?.write(data);
+                stderr = (stderr + data).slice(-MAX_STDERR_LENGTH);
+            });
+            child.stdout.pipe(output, { end: false });
+            child.on('error', (err) => output.destroy(new Error(`The command could not be started: ${err.message}`)));
+            // 'close' comes once the command has exited and its output has been read
+            child.on('close', (code, signal) => {
+                if (code === 0) {
+                    output.end();
+                    return;
+                }
+                const reason = signal ? `was killed by ${signal}` : `exited with code ${code}`;
+                const details = stderr.trim() ? `: ${stderr.trim()}` : '';
+                output.destroy(new Error(`The command ${reason}${details}`));
+            });
+            const { stream } = await openInput(output);
+            // Stop the command when the dump is not read to the end; closing its stdout also
+            // stops what it started, on their next write
+            stream.on('close', () => {
+                if (child.exitCode === null && child.signalCode === null) {
+                    child.stdout.destroy();
+                    child.kill();
+                }
+            });
+            return { stream };
+        },
+    };
+}
+
+/**
+ * Quotes an identifier for a dialect: always with backticks for MySQL, and with double quotes for
+ * PostgreSQL when it is not a plain lower-case name.
+ * @param {string} name - The identifier.
+ * @param {{name: string}} dialect - The dialect.
+ * @returns {string} - The identifier as written in the dump.
+ */
+function quoteIdentifier(name, dialect) {
+    if (dialect.name === 'mysql') {
+        return `\`${name.replace(/`/g, '``')}\``;
+    }
+    return PLAIN_IDENTIFIER.test(name) ? name : `"${name.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Encodes a value read from a database as an SQL literal.
+ * @param {*} value - The value: null, a string, number, bigint, boolean, Date, Buffer, or anything
+ *   else, which is written as JSON (e.g. json columns).
+ * @param {{name: string}} dialect - The dialect.
+ * @returns {string} - The SQL literal.
+ */
+function encodeValue(value, dialect) {
+    const quoting = dialect.name === 'mysql' ? 'mysql' : 'standard';
+    if (typeof value === 'bigint') {
+        return String(value);
+    }
+    if (value instanceof Date) {
+        return encodeLiteral(value.toISOString(), quoting);
+    }
+    if (Buffer.isBuffer(value)) {
+        return dialect.name === 'mysql' ? `0x${value.toString('hex')}` : `'\\x${value.toString('hex')}'::bytea`;
+    }
+    if (value !== null && typeof value === 'object') {
+        return encodeLiteral(JSON.stringify(value), quoting);
+    }
+    return encodeLiteral(value, quoting);
+}
+
+/**
+ * Creates an adapter writing rows as INSERT statements, so that they can be anonymized like a dump.
+ * Rows are given per table, as arrays of values in the order of `columns` or as objects keyed by
+ * column name. Both the tables and their rows can be (async) iterables, e.g. an async generator
+ * reading a database cursor, so rows are only read as the anonymizer needs them.
+ * @param {Iterable|AsyncIterable} tables - The tables: `{ table, columns, rows }`, where `table` is the
+ *   (possibly schema-qualified) table name, `columns` the column names and `rows` the rows.
+ * @param {object} [options] - The adapter options.
+ * @param {string} [options.dialect='postgres'] - How to write identifiers and literals: 'postgres' or 'mysql'.
+ * @param {number} [options.rowsPerStatement=100] - Maximum number of rows per INSERT statement.
+ * @returns {{description: string, open: function(): Promise<{stream: Readable}>}} - The adapter.
+ */
+function createRowSource(tables, options = {}) {
+    const dialect = getDialect(options.dialect ?? 'postgres');
+    const rowsPerStatement = options.rowsPerStatement ?? 100;
+    if (!Number.isInteger(rowsPerStatement) || rowsPerStatement < 1) {
+        throw new Error(`The "rowsPerStatement" option must be a positive integer, got: ${rowsPerStatement}`);
+    }
+
+    async function* generateStatements() {
+        for await (const { table, columns, rows } of tables) {
+            if (!table || !Array.isArray(columns) || columns.length === 0) {
+                throw new Error('Every table of a row source needs a name and a list of columns.');
+            }
+            const prefix = `INSERT INTO ${table.split('.').map(part => quoteIdentifier(part, dialect)).join('.')} `
+                + `(${columns.map(column => quoteIdentifier(column, dialect)).join(', ')}) VALUES\n`;
+            let valueSets = [];
+            for await (const row of rows) {
+                const values = Array.isArray(row) ? row : columns.map(column => row[column]);
+                if (values.length !== columns.length) {
+                    throw new Error(`A row of table ${table} has ${values.length} values for ${columns.length} columns.`);
+                }
+                valueSets.push(`(${values.map(value => encodeValue(value, dialect)).join(', ')})`);
+                if (valueSets.length === rowsPerStatement) {
+                    yield `${prefix}${valueSets.join(',\n')};\n`;
+                    valueSets = [];
+                }
+            }
+            if (valueSets.length > 0) {
+                yield `${prefix}${valueSets.join(',\n')};\n`;
+            }
+        }
+    }
+
+    return {
+        description: 'row source',
+        open: async () => ({ stream: Readable.from(generateStatements(), { objectMode: false }) }),
+    };
+}
+
+module.exports = {
+    openSource,
+    createExecSource,
+    createRowSource,
+};
@@ -0,0 +1,268 @@
+/**
+ * Parsing of the statements that carry data in a dump: INSERT (and MySQL's REPLACE) statements,
+ * COPY ... FROM stdin statements, and CREATE TABLE statements, which give the column order of
+ * each table.
+ */
+
+const { findTopLevelGroups, maskLiterals, splitTopLevel } = require('./tokenizer');
+const { normalizeIdentifier } = require('./config');
+
+// An identifier: plain, "double-quoted" (PostgreSQL) or `backquoted` (MySQL)
+const identifierPattern = '(?:\\w+|"[^"]+"|`[^`]+`)';
+
+// Regex to match INSERT statements for any table, and MySQL's INSERT IGNORE and REPLACE INTO. The
+// table name and the optional column list `(...)` are captured so they can be looked up in the
+// anonymization rules; clauses before VALUES (or MySQL's VALUE), such as OVERRIDING SYSTEM VALUE,
+// are skipped. It is matched against the masked statement (see parseInsert), so it must be its first
+// keyword: comments before it are blanks, and INSERTs in comments, strings or function bodies are not seen.
+const insertRegex = new RegExp(`^\\s*(?:INSERT(?:\\s+(?:LOW_PRIORITY|DELAYED|HIGH_PRIORITY))?(?:\\s+IGNORE)?|REPLACE(?:\\s+(?:LOW_PRIORITY|DELAYED))?)\\s+INTO\\s+((?:${identifierPattern}\\.)?${identifierPattern})\\s*(?:\\(([^)]*)\\)\\s*)?(?:(?:OVERRIDING\\s+(?:SYSTEM|USER)\\s+VALUE|DEFAULT\\s+VALUES|[^;()]*?)\\s+)?VALUES?\\s*\\(`, 'id');
+
+// Regex to match CREATE TABLE statements, used to learn the column order of each table
+const createTableRegex = new RegExp(`CREATE\\s+(?:(?:GLOBAL|LOCAL)\\s+)?(?:(?:TEMP|TEMPORARY|UNLOGGED)\\s+)?TABLE\\s+(?:IF\\s+NOT\\s+EXISTS\\s+)?((?:${identifierPattern}\\.)?${identifierPattern})\\s*\\(`, 'i');
+
+// Regex to match a PRIMARY KEY table constraint, capturing its column list
+const primaryKeyConstraintRegex = new RegExp(`^(?:CONSTRAINT\\s+${identifierPattern}\\s+)?PRIMARY\\s+KEY\\s*\\(([^)]*)\\)`, 'i');
+
+// Regex to match a UNIQUE table constraint (MySQL: UNIQUE KEY name (...)), capturing its column list
+const uniqueConstraintRegex = new RegExp(`^(?:CONSTRAINT\\s+${identifierPattern}\\s+)?UNIQUE(?:\\s+(?:KEY|INDEX))?(?:\\s+${identifierPattern})?\\s*\\(([^)]*)\\)`, 'i');
+
+// Regex to match the type of a column with a maximum length, e.g. varchar(255) or character varying(8);
+// arrays of them (varchar(8)[]) do not count
+const lengthTypeRegex = /^(?:character\s+varying|varchar|nvarchar|varchar2|character|char|nchar|bpchar)\s*\(\s*(\d+)\s*\)(?!\s*\[)/i;
+
+// Regex to match COPY ... FROM stdin statements (pg_dump's default format). The data rows follow
+// on the next lines, up to a line containing only \.
+const copyRegex = /^\s*COPY\s+((?:(?:\w+|"[^"]+")\.)?(?:\w+|"[^"]+"))\s*(?:\(([^)]*)\))?\s+FROM\s+stdin\b([^;]*);/im;
+
+// How much of a statement is masked to recognize it; longer heads (e.g. huge column lists) mask the whole statement
+const STATEMENT_HEAD_LENGTH = 4096;
+
+// The VALUES keyword of an INSERT statement, followed by its first value set
+const valuesKeywordRegex = /\sVALUES?\s*\(/gi;
+// The comma between two value sets (comments are masked as blanks)
+const valueSetSeparatorRegex = /\s*,\s*/y;
+
+/**
+ * Extracts the ordered column names, their maximum lengths, the primary key and the unique columns
+ * from a CREATE TABLE statement. Other table constraints (CHECK, FOREIGN KEY, ...) are ignored.
+ * @param {string} statement - The CREATE TABLE statement.
+ * @param {{backslashEscapes: boolean}} dialect - The dialect of the dump.
+ * @returns {{tableName: string, columns: string[], maxLengths: (number|null)[], primaryKey: string[], uniqueColumns: string[]}|null} -
+ *   The table name, its normalized column names, the declared maximum length of each column (e.g. 8 for
+ *   varchar(8), null if it has none), the normalized names of its primary key columns (empty if it has
+ *   none) and the columns whose values must be unique on their own (single-column primary key or
+ *   UNIQUE constraint); null if not parseable.
+ */
+function parseCreateTable(statement, dialect) {
+    const match = statement.match(createTableRegex);
+    if (!match) {
+        return null;
+    }
+    // Find the parenthesis closing the column definitions
+    const bodyStart = match.index + match[0].length - 1;
+    const body = findTopLevelGroups(statement.substring(bodyStart), dialect)[0];
+    if (!body || body.start !== 0) {
+        return null;
+    }
+
+    const constraintKeywords = /^(?:CONSTRAINT|PRIMARY|UNIQUE|CHECK|FOREIGN|EXCLUDE|LIKE|KEY|INDEX|FULLTEXT|SPATIAL)\b/i;
+    const columns = [];
+    const maxLengths = [];
+    let primaryKey = [];
+    const uniqueColumns = new Set();
+    for (const definition of splitTopLevel(statement.substring(bodyStart + 1, bodyStart + body.end - 1), dialect)) {
+        if (!definition) {
+            continue;
+        }
+        if (constraintKeywords.test(definition)) {
+            // Table constraint: PRIMARY KEY (a, b) or UNIQUE (a), possibly named with CONSTRAINT name
+            const keyMatch = definition.match(primaryKeyConstraintRegex);
+            if (keyMatch) {
+                primaryKey = splitTopLevel(keyMatch[1]).map(normalizeIdentifier);
+            }
+            const uniqueMatch = definition.match(uniqueConstraintRegex);
+            const uniqueKey = uniqueMatch ? splitTopLevel(uniqueMatch[1]) : [];
+            if (uniqueKey.length === 1) {
+                uniqueColumns.add(normalizeIdentifier(uniqueKey[0]));
+            }
+            continue;
+        }
+        const nameMatch = definition.match(/^("[^"]+"|`[^`]+`|\S+)/);
+        const columnName = normalizeIdentifier(nameMatch[1]);
+        columns.push(columnName);
+        maxLengths.push(Number(definition.substring(nameMatch[0].length).trim().match(lengthTypeRegex)?.[1]) || null);
+        // Column constraints: id integer PRIMARY KEY, email text UNIQUE (but not DEFAULT 'UNIQUE')
+        const maskedDefinition = maskLiterals(definition, dialect);
+        if (/\bPRIMARY\s+KEY\b/i.test(maskedDefinition)) {
+            primaryKey = [columnName];
+        }
+        if (/\bUNIQUE\b/i.test(maskedDefinition)) {
+            uniqueColumns.add(columnName);
+        }
+    }
+    if (primaryKey.length === 1) {
+        uniqueColumns.add(primaryKey[0]);
+    }
+    return { tableName: normalizeIdentifier(match[1]), columns, maxLengths, primaryKey, uniqueColumns: [...uniqueColumns] };
+}
+
+/**
+ * Creates a catalog of the tables of the dump, learned from its CREATE TABLE statements, so columns
+ * can be targeted by name in INSERTs without a column list.
+ * @param {object[]} [known=[]] - Tables learned before, e.g. by the part of the dump processed before a
+ *   checkpoint (see `learned`).
+ * @returns {{learn: function(string, object): object|null, get: function(string): string[]|undefined,
+ *   getTable: function(string): object|undefined, learned: function(): object[]}} - The catalog.
+ */
+function createColumnCatalog(known = []) {
+    const tables = new Map();
+    const learned = []; // What parseCreateTable found, in input order
+    // What parseCreateTable found for a (possibly schema-qualified) normalized table name
+    const getTable = (tableName) => tables.get(tableName) || tables.get(tableName.substring(tableName.lastIndexOf('.') + 1));
+    const remember = (createTable) => {
+        const bareName = createTable.tableName.substring(createTable.tableName.lastIndexOf('.') + 1);
+        tables.set(createTable.tableName, createTable);
+        tables.set(bareName, createTable);
+        learned.push(createTable);
+    };
+    known.forEach(remember);
+    return {
+        // Remembers the table if the statement is a CREATE TABLE, and returns what parseCreateTable found
+        learn: (statement, dialect) => {
+            const createTable = parseCreateTable(statement, dialect);
+            if (createTable) {
+                remember(createTable);
+            }
+            return createTable;
+        },
+        // Columns of a (possibly schema-qualified) normalized table name
+        get: (tableName) => getTable(tableName)?.columns,
+        getTable,
+        // Every table learned so far, as plain objects
+        learned: () => [...learned],
+    };
+}
+
+/**
+ * Recognizes an INSERT statement. Only its first keyword counts: an INSERT in a comment before it, or
+ * within a string or a function body, does not make it one.
+ * @param {string} statement - The statement, with the comments and whitespace before it.
+ * @param {{backslashEscapes: boolean}} [dialect] - The dialect of the dump; PostgreSQL by default.
+ * @returns {{tableName: string, columnNames: string[]|undefined}|null} - The normalized table name and
+ *   the normalized names of its column list, if any; null if the statement is not an INSERT.
+ */
+function parseInsert(statement, dialect) {
+    // The head of a statement is masked as the whole statement would be, so large statements
+    // are only masked in full when their head does not tell
+    let match = insertRegex.exec(maskLiterals(statement.substring(0, STATEMENT_HEAD_LENGTH), dialect));
+    if (!match && statement.length > STATEMENT_HEAD_LENGTH) {
+        match = insertRegex.exec(maskLiterals(statement, dialect));
+    }
+    if (!match) {
+        return null;
+    }
+    // Identifiers are masked too: they are read from the statement itself
+    const [tableName, columnList] = [1, 2].map(group => (match.indices[group] ? statement.substring(...match.indices[group]) : undefined));
+    return {
+        tableName: normalizeIdentifier(tableName),
+        columnNames: columnList !== undefined ? splitTopLevel(columnList).map(normalizeIdentifier) : undefined,
+    };
+}
+
+/**
+ * Finds the value sets of a VALUES list: parenthesized groups separated by commas. The list ends
+ * at the first thing that is not another value set, such as ON CONFLICT (id), RETURNING (id) or
+ * ON DUPLICATE KEY UPDATE, or at the `;`.
+ * @param {string} masked - The statement, masked with maskLiterals.
+ * @param {number} start - The position of the opening parenthesis of the first value set.
+ * @returns {{start: number, end: number}[]} - The position of each opening parenthesis and the
+ *   position just after its closing parenthesis. An unclosed value set ends the list.
+ */
+function findValueSets(masked, start) {
+    const valueSets = [];
+    let position = start;
+    while (masked[position] === '(') {
+        let depth = 0;
+        let end = -1;
+        for (let i = position; i < masked.length && end === -1; i++) {
+            if (masked[i] === '(') {
+                depth++;
+            } else if (masked[i] === ')' && --depth === 0) {
+                end = i + 1;
+            }
+        }
+        if (end === -1) {
+            break;
+        }
+        valueSets.push({ start: position, end });
+        valueSetSeparatorRegex.lastIndex = end;
+        if (!valueSetSeparatorRegex.test(masked)) {
+            break;
+        }
+        position = valueSetSeparatorRegex.lastIndex;
+    }
+    return valueSets;
+}
+
+/**
+ * Splits an INSERT statement around its VALUES list.
+ * @param {string} statement - The INSERT statement.
+ * @param {{backslashEscapes: boolean}} dialect - The dialect of the dump.
+ * @returns {{prefix: string, valuesPart: string, tail: string, valueSets: {start: number, end: number}[]}|null} -
+ *   The text before VALUES, the VALUES list up to the end of its last value set, the text after it
+ *   (e.g. ON CONFLICT ... DO UPDATE, RETURNING, ON DUPLICATE KEY UPDATE and the `;`), kept as is, and
+ *   the position of each value set in the VALUES list; null if there is no VALUES keyword.
+ */
+function splitInsertValues(statement, dialect) {
+    // Find the VALUES keyword outside of literals, comments and parentheses
+    const masked = maskLiterals(statement, dialect);
+    valuesKeywordRegex.lastIndex = 0;
+    let valuesMatch;
+    while ((valuesMatch = valuesKeywordRegex.exec(masked)) !== null) {
+        const before = masked.substring(0, valuesMatch.index);
+        if ((before.match(/\(/g)?.length ?? 0) === (before.match(/\)/g)?.length ?? 0)) {
+            break;
+        }
+    }
+    if (!valuesMatch) {
+        return null;
+    }
+
+    // Value sets are the parenthesized groups of the VALUES list; nested parentheses
+    // (function calls, ARRAY[...]) and those inside literals are part of the values
+    const valueSets = findValueSets(masked, valuesMatch.index + valuesMatch[0].length - 1);
+    const valuesEnd = valueSets.length > 0 ? valueSets[valueSets.length - 1].end : statement.length;
+    return {
+        prefix: statement.substring(0, valuesMatch.index), // Part before VALUES
+        valuesPart: statement.substring(valuesMatch.index, valuesEnd),
+        tail: statement.substring(valuesEnd),
+        valueSets: valueSets.map(({ start, end }) => ({ start: start - valuesMatch.index, end: end - valuesMatch.index })),
+    };
+}
+
+/**
+ * Recognizes a COPY ... FROM stdin statement.
+ * @param {string} statement - The statement.
+ * @returns {{tableName: string, columnNames: string[]|undefined, options: string}|null} - The normalized
+ *   table name, the normalized names of its column list, if any, and the text of its options
+ *   (e.g. WITH CSV); null if the statement is not a COPY ... FROM stdin.
+ */
+function parseCopy(statement) {
+    const match = statement.match(copyRegex);
+    if (!match) {
+        return null;
+    }
+    return {
+        tableName: normalizeIdentifier(match[1]),
+        columnNames: match[2] !== undefined ? splitTopLevel(match[2]).map(normalizeIdentifier) : undefined,
+        options: match[3],
+    };
+}
+
+module.exports = {
+    parseCreateTable,
+    createColumnCatalog,
+    parseInsert,
+    splitInsertValues,
+    parseCopy,
+};
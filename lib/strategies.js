@@ -0,0 +1,438 @@
+/**
+ * Registry of anonymization strategies.
+ *
+ * A strategy receives the decoded original value (a string, or null for SQL NULL), the
+ * column options from the config and a random source, and returns the replacement as a
+ * JavaScript value (string, number, boolean or null). `applyStrategy` takes care of turning
+ * that value back into a valid SQL literal of the same kind as the original (see literals.js),
+ * and of keeping the original of a typed string when the replacement is not a value of its type.
+ *
+ * Strategies must take all their randomness from the random source: when a secret is
+ * configured it is seeded from the original value, which makes the output deterministic, and
+ * with a seed it is seeded from the position of the row, which makes the output reproducible.
+ */
+
+const crypto = require('crypto');
+const { formatLiteral, fitsType, typeCategory } = require('./literals');
+
+const LOWERCASE = 'abcdefghijklmnopqrstuvwxyz';
+const UPPERCASE = LOWERCASE.toUpperCase();
+const DIGITS = '0123456789';
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+// Domains of the email strategy: the default one, and the shortest reserved one (RFC 2606), for short columns
+const DEFAULT_EMAIL_DOMAIN = 'example.com';
+const SHORT_EMAIL_DOMAIN = 'x.test';
+
+// --- Random Helpers ---
+
+/**
+ * Wraps a byte source into the random helpers used by the strategies.
+ * @param {function(number): Buffer} bytes - Returns the requested number of random bytes.
+ * @returns {{bytes: Function, float: Function, int: Function, hex: Function, char: Function}} - The random helpers.
+ */
+function createRandom(bytes) {
+    const float = () => bytes(6).readUIntBE(0, 6) / 2 ** 48;
+    return {
+        bytes,
+        // Float in [0, 1)
+        float,
+        // Integer in [min, max)
+        int: (min, max) => min + Math.floor(float() * (max - min)),
+        // Hexadecimal string of the given length (e.g., a1b2c3d4)
+        hex: (length) => bytes(Math.ceil(length / 2)).toString('hex').slice(0, length),
+        // One character of the alphabet
+        char: (alphabet) => alphabet[Math.floor(float() * alphabet.length)],
+    };
+}
+
+/**
+ * Returns a random version 4 UUID.
+ * @param {object} random - The random source (see createRandom).
+ * @returns {string} - The UUID.
+ */
+function randomUuid(random) {
+    const bytes = Buffer.from(random.bytes(16));
+    bytes[6] = (bytes[6] & 0x0f) | 0x40; // Version 4
+    bytes[8] = (bytes[8] & 0x3f) | 0x80; // RFC 4122 variant
+    const hex = bytes.toString('hex');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * Returns a random date between 1970 and 2029.
+ * @param {object} random - The random source (see createRandom).
+ * @returns {string} - The date, as YYYY-MM-DD.
+ */
+function randomDate(random) {
+    return new Date(random.int(0, 60 * 365) * MS_PER_DAY).toISOString().substring(0, 10);
+}
+
+/**
+ * Returns a random time of the day.
+ * @param {object} random - The random source (see createRandom).
+ * @returns {string} - The time, as HH:MM:SS.
+ */
+function randomTime(random) {
+    return [random.int(0, 24), random.int(0, 60), random.int(0, 60)].map(part => String(part).padStart(2, '0')).join(':');
+}
+
+// Non-deterministic source, used when no secret is configured
+const cryptoRandom = createRandom(crypto.randomBytes);
+
+/**
+ * Creates a deterministic random source keyed with a secret.
+ * The bytes are an HMAC-SHA256 stream of the seed, so the same secret and seed always produce
+ * the same sequence, while nobody without the secret can link the output back to the seed.
+ * @param {string} secret - The secret key.
+ * @param {string} seed - The seed, derived from the strategy and the original value.
+ * @returns {object} - The random helpers (see createRandom).
+ */
+function createKeyedRandom(secret, seed) {
+    let pool = Buffer.alloc(0);
+    let counter = 0;
+    return createRandom((length) => {
+        while (pool.length < length) {
+            const block = crypto.createHmac('sha256', secret).update(`${counter++}\0${seed}`).digest();
+            pool = Buffer.concat([pool, block]);
+        }
+        const result = pool.subarray(0, length);
+        pool = pool.subarray(length);
+        return result;
+    });
+}
+
+/**
+ * Creates a reproducible random source for a row, for runs with a seed but no secret. Unlike with
+ * a secret, the same value gets different replacements in different rows, but running again with
+ * the same seed on the same dump gives the same output.
+ * @param {string} seed - The seed of the run.
+ * @param {string} row - Where the row is in the dump, e.g. its line number.
+ * @returns {object} - The random helpers (see createRandom).
+ */
+function createSeededRandom(seed, row) {
+    return createKeyedRandom(seed, `row\0${row}`);
+}
+
+// --- Option Validation Helpers ---
+
+/**
+ * Ensures an optional option is a non-negative integer.
+ * @param {object} options - The column options.
+ * @param {string} key - The option name.
+ */
+function expectNonNegativeInteger(options, key) {
+    if (options[key] !== undefined && (!Number.isInteger(options[key]) || options[key] < 0)) {
+        throw new Error(`Option "${key}" must be a non-negative integer, got: ${options[key]}`);
+    }
+}
+
+/**
+ * Ensures an optional option is a non-negative number.
+ * @param {object} options - The column options.
+ * @param {string} key - The option name.
+ */
+function expectNonNegativeNumber(options, key) {
+    if (options[key] !== undefined && (typeof options[key] !== 'number' || !(options[key] >= 0))) {
+        throw new Error(`Option "${key}" must be a non-negative number, got: ${options[key]}`);
+    }
+}
+
+// --- Built-in Strategies ---
+
+const strategies = new Map();
+
+/**
+ * Registers an anonymization strategy.
+ * @param {string} name - The name used in the config file and on the command line.
+ * @param {{apply: Function, validate?: Function}} strategy - `apply(value, options, context)` returns the replacement value,
+ *   where `context.random` is the random source, `context.kind` the kind of the original literal, `context.type`
+ *   the type of a cast or typed string (e.g. `date`, see parseLiteral), if any, `context.secret` the secret key,
+ *   if any, and `context.maxLength` the maximum length of the column, if known; `apply` sets
+ *   `context.shortened` when it returns a shorter value than usual to fit `context.maxLength`, and
+ *   `context.warning` to a message for the user when it cannot return the kind of value it usually does;
+ *   the optional `validate(options)` throws if the column options are invalid.
+ */
+function registerStrategy(name, strategy) {
+    if (typeof strategy?.apply !== 'function') {
+        throw new Error(`Strategy ${name} must have an apply function.`);
+    }
+    strategies.set(name, strategy);
+}
+
+// Random value of the same kind: random digits for numbers, a random boolean, random bytes for
+// bytea, a random value of the type for typed strings of dates, timestamps, times, UUIDs and numbers,
+// and a random hex string as long as the original otherwise (16 characters for NULL). This is the
+// default strategy and, unlike most others, it also replaces NULL values.
+registerStrategy('random', {
+    apply: (value, options, { random, kind, type }) => {
+        const category = kind === 'string' ? typeCategory(type) : null;
+        switch (category ?? kind) {
+            case 'date':
+                return randomDate(random);
+            case 'timestamp':
+                return `${randomDate(random)} ${randomTime(random)}`;
+            case 'time':
+                return randomTime(random);
+            case 'uuid':
+                return randomUuid(random);
+            case 'number': {
+                // Replace the digits of the mantissa, without adding a leading zero
+                const [mantissa, exponent] = value.split(/(?=[eE])/);
+                let firstDigit = true;
+                const digits = mantissa.replace(/\d/g, (digit) => {
+                    const replacement = random.char(firstDigit && digit !== '0' ? DIGITS.substring(1) : DIGITS);
+                    firstDigit = false;
+                    return replacement;
+                });
+                return digits + (exponent ?? '');
+            }
+            case 'boolean':
+                return random.int(0, 2) === 1;
+            case 'bytea':
+                return random.hex(value.length);
+            case 'null':
+                return random.hex(options.length ?? 16);
+            default:
+                return random.hex(options.length ?? Array.from(value).length);
+        }
+    },
+    validate: (options) => expectNonNegativeInteger(options, 'length'),
+});
+
+// Always NULL.
+registerStrategy('null', {
+    apply: () => null,
+});
+
+// A fixed value from the config, e.g. { strategy: fixed, value: 'N/A' }.
+registerStrategy('fixed', {
+    apply: (value, options) => options.value,
+    validate: (options) => {
+        if (!Object.prototype.hasOwnProperty.call(options, 'value')) {
+            throw new Error('Option "value" is required.');
+        }
+        if (options.value !== null && !['string', 'number', 'boolean'].includes(typeof options.value)) {
+            throw new Error('Option "value" must be a string, number, boolean or null.');
+        }
+    },
+});
+
+// Keeps the format: digits become random digits and letters random letters of the same case.
+registerStrategy('mask', {
+    apply: (value, options, { random }) => {
+        if (value === null) return null;
+        return value.replace(/\p{Nd}|\p{Lu}|\p{L}/gu, (char) => {
+            if (/\p{Nd}/u.test(char)) return random.char(DIGITS);
+            if (/\p{Lu}/u.test(char)) return random.char(UPPERCASE);
+            return random.char(LOWERCASE);
+        });
+    },
+});
+
+// Hides all but the first `keepFirst` and last `keepLast` characters, e.g. ************1234.
+registerStrategy('redact', {
+    apply: (value, options) => {
+        if (value === null) return null;
+        const keepFirst = options.keepFirst ?? 0;
+        const keepLast = options.keepLast ?? 4;
+        const maskChar = options.char ?? '*';
+        const chars = Array.from(value);
+        return chars.map((char, i) => (i < keepFirst || i >= chars.length - keepLast ? char : maskChar)).join('');
+    },
+    validate: (options) => {
+        expectNonNegativeInteger(options, 'keepFirst');
+        expectNonNegativeInteger(options, 'keepLast');
+        if (options.char !== undefined && (typeof options.char !== 'string' || options.char.length === 0)) {
+            throw new Error('Option "char" must be a non-empty string.');
+        }
+    },
+});
+
+// A random email address at `domain` (default example.com), or at the original domain with keepDomain.
+// When the column is too short for it, the local part is shortened and the address moves from example.com
+// (or from a domain that leaves no room) to x.test, rather than being cut into another, possibly real,
+// domain. Columns too short for any address get random text.
+registerStrategy('email', {
+    apply: (value, options, context) => {
+        if (value === null) return null;
+        const { random, maxLength } = context;
+        const originalDomain = value.includes('@') ? value.substring(value.lastIndexOf('@') + 1) : null;
+        let domain = options.keepDomain && originalDomain ? originalDomain : (options.domain ?? DEFAULT_EMAIL_DOMAIN);
+        if ((maxLength ?? Infinity) - domain.length - 1 >= 15) {
+            return `user_${random.hex(10)}@${domain}`;
+        }
+        context.shortened = true;
+        if (domain === DEFAULT_EMAIL_DOMAIN || maxLength - domain.length - 1 < 1) {
+            domain = SHORT_EMAIL_DOMAIN;
+        }
+        if (maxLength - domain.length - 1 < 1) {
+            context.warning = `The column is too short for email addresses (${maxLength} characters), so random text was written instead.`;
+            return random.hex(maxLength);
+        }
+        return `${random.hex(Math.min(maxLength - domain.length - 1, 15))}@${domain}`;
+    },
+    validate: (options) => {
+        if (options.domain !== undefined && (typeof options.domain !== 'string' || !options.domain)) {
+            throw new Error('Option "domain" must be a non-empty string.');
+        }
+    },
+});
+
+// A random version 4 UUID.
+registerStrategy('uuid', {
+    apply: (value, options, { random }) => {
+        if (value === null) return null;
+        return randomUuid(random);
+    },
+});
+
+// Moves a date or timestamp (YYYY-MM-DD...) by up to `maxDays` days, keeping the time part untouched.
+registerStrategy('date-shift', {
+    apply: (value, options, { random }) => {
+        if (value === null) return null;
+        const match = value.match(/^(\d{4})-(\d{2})-(\d{2})(.*)$/s);
+        if (!match) {
+            throw new Error('date-shift expects a value starting with YYYY-MM-DD.');
+        }
+        const maxDays = options.maxDays ?? 30;
+        const offset = random.int(-maxDays, maxDays + 1);
+        const shifted = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])) + offset * MS_PER_DAY);
+        return `${shifted.toISOString().substring(0, 10)}${match[4]}`;
+    },
+    validate: (options) => expectNonNegativeInteger(options, 'maxDays'),
+});
+
+// Adds up to ±`ratio` (default 0.1, i.e. 10%) of random noise to a number, keeping its decimal places.
+registerStrategy('noise', {
+    apply: (value, options, { random }) => {
+        if (value === null) return null;
+        const number = Number(value.trim());
+        if (value.trim() === '' || !Number.isFinite(number)) {
+            throw new Error('noise expects a numeric value.');
+        }
+        const decimals = (value.trim().split('.')[1] || '').length;
+        const noisy = number * (1 + (random.float() * 2 - 1) * (options.ratio ?? 0.1));
+        return noisy.toFixed(decimals);
+    },
+    validate: (options) => expectNonNegativeNumber(options, 'ratio'),
+});
+
+// SHA-256 hex digest of the original value, truncated to `length` characters.
+// With a secret it is an HMAC, so values cannot be recovered by hashing guesses.
+registerStrategy('hash', {
+    apply: (value, options, { secret }) => {
+        if (value === null) return null;
+        const hash = secret ? crypto.createHmac('sha256', secret) : crypto.createHash('sha256');
+        return hash.update(value).digest('hex').slice(0, options.length ?? 64);
+    },
+    validate: (options) => expectNonNegativeInteger(options, 'length'),
+});
+
+// The strategies defined above. Worker threads only have these, not the ones registered at runtime.
+const builtInStrategies = new Map(strategies);
+
+// --- Public API ---
+
+/**
+ * Checks whether a strategy is registered.
+ * @param {string} name - The strategy name.
+ * @returns {boolean} - True if the strategy exists.
+ */
+function hasStrategy(name) {
+    return strategies.has(name);
+}
+
+/**
+ * Checks whether a strategy is one of the built-in strategies, and has not been replaced.
+ * @param {string} name - The strategy name.
+ * @returns {boolean} - True if the strategy is built in.
+ */
+function isBuiltInStrategy(name) {
+    return strategies.has(name) && builtInStrategies.get(name) === strategies.get(name);
+}
+
+/**
+ * Lists the names of all registered strategies.
+ * @returns {string[]} - The strategy names.
+ */
+function getStrategyNames() {
+    return [...strategies.keys()];
+}
+
+/**
+ * Validates the options of a column against its strategy.
+ * @param {string} name - The strategy name.
+ * @param {object} options - The column options.
+ */
+function validateStrategy(name, options) {
+    if (!strategies.has(name)) {
+        throw new Error(`Unknown strategy: ${name}. Available: ${getStrategyNames().join(', ')}`);
+    }
+    strategies.get(name).validate?.(options);
+}
+
+/**
+ * Computes the replacement of a single literal, as the plain value returned by the strategy.
+ * Without a secret the replacement is random, drawn from the random source of the row when there
+ * is one (see createSeededRandom). With a secret it is a pseudonym: the same strategy applied to the
+ * same original value always returns the same replacement, whatever the table or column and across runs.
+ * Text replacements longer than the column's maximum length are truncated, so the dump still loads; as the
+ * pseudonym then differs from that of the same value in longer columns, `column.shortened` is set.
+ * @param {string} name - The strategy name.
+ * @param {{kind: string, value: string|null}} literal - The original literal, as returned by parseLiteral (e.g.,
+ *   { kind: 'string', value: 'john@doe.com' }).
+ * @param {object} options - The column options.
+ * @param {string} [secret] - The secret key for deterministic pseudonymization.
+ * @param {object} [column] - What is known about the column.
+ * @param {number|null} [column.maxLength] - Its maximum length in characters, e.g. 8 for varchar(8).
+ * @param {number} [column.attempt=0] - How many replacements were rejected before, e.g. because they were
+ *   already used in a unique column. With a secret, each attempt gives another (deterministic) replacement.
+ * @param {object} [column.random] - The random source of the row, used without a secret (see createSeededRandom).
+ * @param {boolean} [column.shortened] - Set to whether the replacement was shortened to fit the column.
+ * @param {string|null} [column.warning] - Set to the warning of the strategy about the replacement, if any.
+ * @returns {string|number|boolean|null} - The replacement value.
+ */
+function computeReplacement(name, literal, options, secret, column = {}) {
+    const { maxLength = null, attempt = 0, random: rowRandom = null } = column;
+    const { kind, value } = literal;
+    const seed = `${name}\0${value === null ? '\0NULL' : value}${attempt > 0 ? `\0${attempt}` : ''}`;
+    const random = secret ? createKeyedRandom(secret, seed) : (rowRandom ?? cryptoRandom);
+    const context = { random, kind, type: literal.type ?? null, secret, maxLength, shortened: false, warning: null };
+    let replacement = strategies.get(name).apply(value, options, context);
+    if (typeof replacement === 'string' && maxLength !== null && replacement.length > maxLength) {
+        const chars = Array.from(replacement);
+        if (chars.length > maxLength) {
+            replacement = chars.slice(0, maxLength).join('');
+            context.shortened = true;
+        }
+    }
+    column.shortened = context.shortened;
+    column.warning = context.warning;
+    return replacement;
+}
+
+/**
+ * Anonymizes a single literal (see computeReplacement).
+ * @param {string} name - The strategy name.
+ * @param {object} literal - The original literal, as returned by parseLiteral.
+ * @param {object} options - The column options.
+ * @param {string} [secret] - The secret key for deterministic pseudonymization.
+ * @param {object} [column] - What is known about the column (see computeReplacement).
+ * @returns {string|null} - The replacement SQL literal, of the same kind as the original; null if the original
+ *   is a typed string and the replacement is not a valid value of its type (see fitsType), so that it is kept.
+ */
+function applyStrategy(name, literal, options, secret, column) {
+    const replacement = computeReplacement(name, literal, options, secret, column);
+    return fitsType(replacement, literal) ? formatLiteral(replacement, literal) : null;
+}
+
+module.exports = {
+    registerStrategy,
+    hasStrategy,
+    isBuiltInStrategy,
+    getStrategyNames,
+    validateStrategy,
+    createSeededRandom,
+    computeReplacement,
+    applyStrategy,
+};
@@ -0,0 +1,489 @@
+/**
+ * A small SQL tokenizer, aware of everything that can hide a `;`, `,` or parenthesis:
+ * string literals ('...', E'...', MySQL backslash escapes), quoted identifiers ("..." and `...`),
+ * PostgreSQL dollar quotes ($$...$$, $tag$...$tag$) and comments (--, #, /* ... *\/).
+ *
+ * It is used to split a dump into statements while streaming it (see createDumpReader, which the
+ * anonymizer and the scanner read dumps with), and to find the value sets and values of an INSERT statement.
+ */
+
+const { StringDecoder } = require('string_decoder');
+const { DIALECTS, detectDialect, getDialect } = require('./dialects');
+
+// Characters that may start a literal, quoted identifier or comment
+const LITERAL_START_REGEX = /['"`$\-#/]/g;
+// Characters the statement splitter has to look at
+const SPLITTER_REGEX = /[;\n'"`$\-#/]/g;
+const DOLLAR_TAG_REGEX = /\$(?:[A-Za-z_\u0080-\uffff][\w\u0080-\uffff]*)?\$/y;
+const COPY_FROM_STDIN_REGEX = /^\s*COPY\s[\s\S]*?\sFROM\s+stdin\b/i;
+
+/**
+ * Tells what the literal, quoted identifier or comment starting at a given position is, and so how
+ * its end is found (see findLiteralEnd).
+ * @param {string} text - The SQL text.
+ * @param {number} start - The position of the first character (a quote, $, -, #, /).
+ * @param {{backslashEscapes: boolean}} dialect - The dialect of the dump.
+ * @param {boolean} final - Whether the text is complete. When false and the text ends too early to
+ *   tell, -1 is returned.
+ * @returns {{from: number, close: string, backslash?: boolean, nested?: boolean, depth?: number}|number|null} -
+ *   The literal: where the search for its end starts and what ends it (a quote, the newline of a line
+ *   comment, the end of a block comment or a dollar tag), whether backslashes escape in it and whether block
+ *   comments nest; -1 if more text is needed, or null if the character does not start a literal (e.g. a
+ *   minus sign or a $1 parameter).
+ */
+function openLiteral(text, start, dialect, final) {
+    const char = text[start];
+    const next = text[start + 1];
+    const mysql = dialect.backslashEscapes;
+
+    if (char === "'" || char === '"' || char === '`') {
+        // Backslash escapes: every MySQL string, and PostgreSQL E'...' strings
+        const backslash = char !== '`' && (mysql
+            ? true
+            : char === "'" && /[Ee]/.test(text[start - 1] ?? '') && !/[\w$]/.test(text[start - 2] ?? ''));
+        return { from: start + 1, close: char, backslash };
+    }
+
+    if (start + 1 >= text.length && !final) {
+        return -1; // Cannot tell yet whether this starts a comment or dollar quote
+    }
+
+    if (char === '-' || char === '#') {
+        let isComment;
+        if (char === '#') {
+            isComment = mysql;
+        } else if (next !== '-') {
+            isComment = false;
+        } else if (!mysql) {
+            isComment = true;
+        } else {
+            // MySQL needs a whitespace after --
+            const after = text[start + 2];
+            if (after === undefined && !final) {
+                return -1;
+            }
+            isComment = after === undefined || /\s/.test(after);
+        }
+        return isComment ? { from: start, close: '\n' } : null;
+    }
+
+    if (char === '/') {
+        // PostgreSQL block comments nest, MySQL ones do not
+        return next === '*' ? { from: start + 2, close: '*/', nested: !mysql, depth: 1 } : null;
+    }
+
+    if (char === '$') {
+        if (mysql || /[\w$]/.test(text[start - 1] ?? '')) {
+            return null;
+        }
+        DOLLAR_TAG_REGEX.lastIndex = start;
+        const tagMatch = DOLLAR_TAG_REGEX.exec(text);
+        if (!tagMatch) {
+            // Either not a dollar quote ($1) or a tag cut by the end of the text
+            const partial = /^\$[\w\u0080-\uffff]*$/.test(text.substring(start));
+            return partial && !final ? -1 : null;
+        }
+        return { from: start + tagMatch[0].length, close: tagMatch[0] };
+    }
+
+    return null;
+}
+
+/**
+ * Finds the end of a literal, quoted identifier or comment, searching from where the last search
+ * for it stopped.
+ * @param {string} text - The SQL text.
+ * @param {object} literal - The literal, as returned by openLiteral. When more text is needed, its `from`
+ *   (and `depth`) are moved to where the search stopped, so that it goes on from there once more text
+ *   has arrived; it may then point past the end of the text, e.g. after a backslash.
+ * @param {boolean} final - Whether the text is complete. When false, a literal reaching the end of
+ *   the text (or whose end cannot be decided yet) is reported as incomplete.
+ * @returns {number} - The position just after the literal (the newline of a line comment is not part of
+ *   it), or -1 if more text is needed.
+ */
+function findLiteralEnd(text, literal, final) {
+    const { close } = literal;
+
+    if (close === '\n') {
+        const end = text.indexOf('\n', literal.from);
+        if (end !== -1 || final) {
+            return end === -1 ? text.length : end;
+        }
+        literal.from = text.length;
+        return -1;
+    }
+
+    if (close === '*/') {
+        let depth = literal.depth;
+        let i = literal.from;
+        while (depth > 0) {
+            const end = text.indexOf('*/', i);
+            const open = literal.nested ? text.indexOf('/*', i) : -1;
+            if (end === -1) {
+                if (final) {
+                    return text.length;
+                }
+                // Count the comments opened so far; the last character may start a */ or /*
+                for (let nested = open; nested !== -1; nested = text.indexOf('/*', i)) {
+                    depth++;
+                    i = nested + 2;
+                }
+                literal.from = Math.max(i, text.length - 1);
+                literal.depth = depth;
+                return -1;
+            }
+            if (open !== -1 && open < end) {
+                depth++;
+                i = open + 2;
+            } else {
+                depth--;
+                i = end + 2;
+            }
+        }
+        return i;
+    }
+
+    if (close[0] === '$') {
+        const end = text.indexOf(close, literal.from);
+        if (end !== -1 || final) {
+            return end === -1 ? text.length : end + close.length;
+        }
+        // The closing tag may be cut by the end of the text
+        literal.from = Math.max(literal.from, text.length - close.length + 1);
+        return -1;
+    }
+
+    let i = literal.from;
+    while (true) {
+        const quote = text.indexOf(close, i);
+        const escape = literal.backslash ? text.indexOf('\\', i) : -1;
+        if (escape !== -1 && (quote === -1 || escape < quote)) {
+            i = escape + 2; // Skip the escaped character
+            continue;
+        }
+        if (quote === -1 || (quote + 1 >= text.length && !final)) {
+            if (final) {
+                return text.length;
+            }
+            literal.from = quote === -1 ? Math.max(i, text.length) : quote; // The doubled quote check needs the next character
+            return -1;
+        }
+        if (text[quote + 1] === close) {
+            i = quote + 2; // Doubled quote
+            continue;
+        }
+        return quote + 1;
+    }
+}
+
+/**
+ * Finds the end of the literal, quoted identifier or comment starting at a given position.
+ * @param {string} text - The SQL text.
+ * @param {number} start - The position of the first character (a quote, $, -, #, /).
+ * @param {{backslashEscapes: boolean}} dialect - The dialect of the dump.
+ * @param {boolean} final - Whether the text is complete. When false, a literal reaching the end of
+ *   the text (or whose end cannot be decided yet) is reported as incomplete.
+ * @returns {number|null} - The position just after the literal, -1 if more text is needed, or null
+ *   if the character does not start a literal (e.g. a minus sign or a $1 parameter).
+ */
+function skipLiteral(text, start, dialect, final) {
+    const literal = openLiteral(text, start, dialect, final);
+    return literal === null || literal === -1 ? literal : findLiteralEnd(text, literal, final);
+}
+
+/**
+ * Blanks out the content of literals, quoted identifiers and comments, so keywords, commas and
+ * parentheses can be searched for outside of them. Quotes are kept, newlines too.
+ * The result has the same length as the input, so indices can be used on the original string.
+ * @param {string} text - The SQL text.
+ * @param {{backslashEscapes: boolean}} [dialect=DIALECTS.postgres] - The dialect of the dump.
+ * @returns {string} - The masked text.
+ */
+function maskLiterals(text, dialect = DIALECTS.postgres) {
+    let masked = '';
+    let last = 0;
+    LITERAL_START_REGEX.lastIndex = 0;
+    let match;
+    while ((match = LITERAL_START_REGEX.exec(text)) !== null) {
+        const start = match.index;
+        const end = skipLiteral(text, start, dialect, true);
+        if (end === null) {
+            continue;
+        }
+        const isQuoted = `'"\``.includes(text[start]);
+        const inner = text.substring(isQuoted ? start + 1 : start, isQuoted ? end - 1 : end);
+        masked += text.substring(last, isQuoted ? start + 1 : start) + inner.replace(/[^\n]/g, ' ') + (isQuoted ? text[end - 1] : '');
+        last = end;
+        LITERAL_START_REGEX.lastIndex = end;
+    }
+    return masked + text.substring(last);
+}
+
+/**
+ * Splits a string on commas that are not inside literals, comments, or (), [] and {} groups.
+ * @param {string} text - The text to split (e.g., the content of a value set or a column list).
+ * @param {{backslashEscapes: boolean}} [dialect=DIALECTS.postgres] - The dialect of the dump.
+ * @returns {string[]} - The trimmed parts, as written in the original text.
+ */
+function splitTopLevel(text, dialect = DIALECTS.postgres) {
+    const masked = maskLiterals(text, dialect);
+    const parts = [];
+    let depth = 0;
+    let last = 0;
+    for (let i = 0; i < masked.length; i++) {
+        const char = masked[i];
+        if (char === '(' || char === '[' || char === '{') {
+            depth++;
+        } else if (char === ')' || char === ']' || char === '}') {
+            depth--;
+        } else if (char === ',' && depth === 0) {
+            parts.push(text.substring(last, i).trim());
+            last = i + 1;
+        }
+    }
+    parts.push(text.substring(last).trim());
+    return parts;
+}
+
+/**
+ * Finds the parenthesized groups at the top level of a text, such as the value sets of a VALUES list.
+ * @param {string} text - The text to search.
+ * @param {{backslashEscapes: boolean}} [dialect=DIALECTS.postgres] - The dialect of the dump.
+ * @returns {{start: number, end: number}[]} - The position of each opening parenthesis and the
+ *   position just after its closing parenthesis. An unclosed group is not returned.
+ */
+function findTopLevelGroups(text, dialect = DIALECTS.postgres) {
+    const masked = maskLiterals(text, dialect);
+    const groups = [];
+    let depth = 0;
+    let start = -1;
+    for (let i = 0; i < masked.length; i++) {
+        const char = masked[i];
+        if (char === '(') {
+            if (depth === 0) start = i;
+            depth++;
+        } else if (char === ')' && depth > 0) {
+            depth--;
+            if (depth === 0) groups.push({ start, end: i + 1 });
+        }
+    }
+    return groups;
+}
+
+/**
+ * Creates a streaming statement splitter. Text is pushed in chunks of any size, and complete
+ * items are returned as soon as they are known:
+ *   - `{ type: 'statement', text, endLine, copy }`: a statement up to and including its `;`, preceded
+ *     by the whitespace and comments since the previous statement. For COPY ... FROM stdin
+ *     statements `copy` is true and the rest of the line is included too.
+ *   - `{ type: 'copy-row', text, ending, line }`: a data row of a COPY block, without its line ending.
+ *   - `{ type: 'copy-end', text, ending, line }`: the `\.` line ending a COPY block.
+ *   - `{ type: 'trailing', text, endLine }`: whatever follows the last statement, returned by end().
+ * Concatenating the text and endings of all items gives back the input exactly.
+ * @param {{backslashEscapes: boolean}} [dialect=DIALECTS.postgres] - The dialect of the dump; can be
+ *   changed later with setDialect, e.g. once it has been detected.
+ * @param {{line: number, inCopy: boolean}} [start] - Where the text starts, when it is the rest of a dump
+ *   (see positionAfter): its line number, and whether it starts with the data rows of a COPY block.
+ * @returns {{push: function(string): object[], end: function(): object[], setDialect: Function}} - The splitter.
+ */
+function createStatementSplitter(dialect = DIALECTS.postgres, start = { line: 1, inCopy: false }) {
+    let buffer = '';
+    let scanPos = 0; // Position in the buffer where scanning resumes
+    let line = start.line; // Line number at scanPos
+    let inCopy = start.inCopy;
+    // The literal, quoted identifier or comment at scanPos that waits for more text (see findLiteralEnd),
+    // the text after where the search for its end stopped, and the chunks pushed since, not yet added to
+    // the buffer: each chunk is searched once, and joined once the literal ends, however long it is
+    let pending = null; // { literal, carry, chunks, length }
+
+    // Adds the chunks held for a pending literal to the buffer
+    const joinPending = () => {
+        if (pending) {
+            buffer += pending.chunks.join('');
+            pending = null;
+        }
+    };
+
+    // Moves the scan past a literal, counting the lines within it
+    const skipPast = (start, end) => {
+        for (let j = buffer.indexOf('\n', start); j !== -1 && j < end; j = buffer.indexOf('\n', j + 1)) {
+            line++;
+        }
+        scanPos = end;
+    };
+
+    const scan = (final) => {
+        const items = [];
+        while (scanPos < buffer.length || (final && buffer.length > 0)) {
+            if (inCopy) {
+                const newline = buffer.indexOf('\n', scanPos);
+                if (newline === -1 && !final) break;
+                const lineEnd = newline === -1 ? buffer.length : newline + 1;
+                const raw = buffer.substring(scanPos, lineEnd);
+                const ending = raw.match(/\r?\n$/)?.[0] ?? '';
+                const text = raw.substring(0, raw.length - ending.length);
+                const isEnd = text === '\\.';
+                items.push({ type: isEnd ? 'copy-end' : 'copy-row', text, ending, line });
+                if (isEnd) {
+                    inCopy = false;
+                }
+                if (ending) line++;
+                buffer = buffer.substring(lineEnd);
+                scanPos = 0;
+                if (newline === -1) break;
+                continue;
+            }
+
+            SPLITTER_REGEX.lastIndex = scanPos;
+            const match = SPLITTER_REGEX.exec(buffer);
+            if (!match) {
+                scanPos = buffer.length;
+                if (final) {
+                    items.push({ type: 'trailing', text: buffer, endLine: line });
+                    buffer = '';
+                    scanPos = 0;
+                }
+                break;
+            }
+            const i = match.index;
+            const char = buffer[i];
+
+            if (char === '\n') {
+                line++;
+                scanPos = i + 1;
+            } else if (char === ';') {
+                let end = i + 1;
+                const statement = buffer.substring(0, end);
+                const isCopy = /COPY/i.test(statement) && COPY_FROM_STDIN_REGEX.test(maskLiterals(statement, dialect));
+                if (isCopy) {
+                    // The data rows start on the next line
+                    const newline = buffer.indexOf('\n', end);
+                    if (newline === -1 && !final) {
+                        scanPos = i; // Wait for the end of the line
+                        break;
+                    }
+                    end = newline === -1 ? buffer.length : newline + 1;
+                }
+                items.push({ type: 'statement', text: buffer.substring(0, end), endLine: line, copy: isCopy });
+                if (isCopy && end > i + 1 && buffer[end - 1] === '\n') line++;
+                inCopy = isCopy;
+                buffer = buffer.substring(end);
+                scanPos = 0;
+            } else {
+                const literal = openLiteral(buffer, i, dialect, final);
+                const end = literal === null || literal === -1 ? literal : findLiteralEnd(buffer, literal, final);
+                if (end === -1) {
+                    if (literal !== -1) {
+                        pending = { literal, carry: buffer.substring(literal.from), chunks: [], length: buffer.length };
+                    }
+                    scanPos = i; // Wait for more text
+                    break;
+                }
+                if (end === null) {
+                    scanPos = i + 1;
+                } else {
+                    skipPast(i, end);
+                }
+            }
+        }
+        return items;
+    };
+
+    return {
+        push: (chunk) => {
+            if (!pending) {
+                buffer += chunk;
+                return scan(false);
+            }
+            // Search the new text for the end of the pending literal, from where the last search stopped
+            const { literal, chunks } = pending;
+            const text = literal.from <= pending.length ? pending.carry + chunk : chunk.substring(literal.from - pending.length);
+            const base = literal.from; // Position of text in the whole buffer
+            chunks.push(chunk);
+            pending.length += chunk.length;
+            const search = { ...literal, from: 0 };
+            const end = findLiteralEnd(text, search, false);
+            if (end === -1) {
+                Object.assign(literal, search, { from: base + search.from });
+                pending.carry = text.substring(search.from);
+                return [];
+            }
+            joinPending();
+            skipPast(scanPos, base + end);
+            return scan(false);
+        },
+        end: () => {
+            joinPending();
+            return scan(true);
+        },
+        setDialect: (newDialect) => {
+            dialect = newDialect;
+            joinPending(); // The literal may end elsewhere in the new dialect
+        },
+    };
+}
+
+/**
+ * Creates a reader of a dump, as read by the anonymizer and the scanner: it decodes the chunks of
+ * the input as UTF-8, detects the dialect from the first chunks that hint at it, unless it is given,
+ * and splits the text into items (see createStatementSplitter). Until the dialect is known,
+ * PostgreSQL is assumed.
+ * @param {object} [options] - The reader options.
+ * @param {object|null} [options.dialect=null] - The dialect of the dump (see getDialect), or null to detect it.
+ * @param {{line: number, inCopy: boolean}} [options.start] - Where the text starts (see createStatementSplitter).
+ * @param {{debug: Function}} [options.logger] - Where to log the detected dialect.
+ * @returns {{push: function(Buffer|string): object[], end: function(): object[], dialect: object|null, setDialect: Function}} -
+ *   The reader: push and end return the items completed by a chunk and by the end of the input,
+ *   `dialect` is the dialect once known, and setDialect settles it, which ends the detection.
+ */
+function createDumpReader({ dialect = null, start, logger } = {}) {
+    const decoder = new StringDecoder('utf8');
+    const splitter = createStatementSplitter(dialect || DIALECTS.postgres, start);
+    let current = dialect;
+
+    const setDialect = (newDialect) => {
+        current = newDialect;
+        splitter.setDialect(newDialect);
+    };
+    const split = (text) => {
+        if (!current) {
+            const detected = detectDialect(text);
+            if (detected) {
+                logger?.debug(`Detected ${detected} dialect`);
+                setDialect(getDialect(detected));
+            }
+        }
+        return splitter.push(text);
+    };
+
+    return {
+        push: (chunk) => split(decoder.write(chunk)),
+        end: () => [...split(decoder.end()), ...splitter.end()],
+        get dialect() {
+            return current;
+        },
+        setDialect,
+    };
+}
+
+/**
+ * Returns where the input stands right after an item of the statement splitter, to split the
+ * rest of the dump from there (see createStatementSplitter).
+ * @param {object} item - A statement, COPY row or COPY terminator.
+ * @returns {{line: number, inCopy: boolean}} - The line number of the next item, and whether it is a COPY data row.
+ */
+function positionAfter(item) {
+    if (item.type === 'statement') {
+        return { line: item.endLine + (item.copy && item.text.endsWith('\n') ? 1 : 0), inCopy: item.copy };
+    }
+    return { line: item.line + (item.ending ? 1 : 0), inCopy: item.type === 'copy-row' };
+}
+
+module.exports = {
+    maskLiterals,
+    splitTopLevel,
+    findTopLevelGroups,
+    createStatementSplitter,
+    createDumpReader,
+    positionAfter,
+};
@@ -0,0 +1,210 @@
+/**
+ * Reversible tokenization: a vault file mapping the replacements of an anonymization run back to
+ * the original values, so that selected columns of the anonymized dump can be restored later by
+ * whoever holds the key.
+ *
+ * The vault is encrypted with AES-256-GCM, with a key derived from a passphrase with scrypt; the
+ * file holds the salt, the IV and the authentication tag, so a wrong key or a modified file is
+ * detected. Tokens are kept per table and column (named as in the rules and the run report). A
+ * replacement given to two different original values cannot be mapped back: it is marked as
+ * ambiguous and left as it is when detokenizing.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { anonymizeFile } = require('./anonymizer');
+
+const VAULT_FORMAT = 'sql-anonymizer-vault';
+const VAULT_VERSION = 1;
+// scrypt cost parameters: about 32 MiB of memory and a tenth of a second per key
+const SCRYPT_PARAMETERS = { N: 2 ** 15, r: 8, p: 1 };
+const SCRYPT_MAX_MEMORY = 64 * 1024 * 1024;
+
+/**
+ * Derives the encryption key of a vault from a passphrase.
+ * @param {string} passphrase - The vault key, as given by the user.
+ * @param {Buffer} salt - The salt of the vault file.
+ * @param {{N: number, r: number, p: number}} parameters - The scrypt parameters.
+ * @returns {Buffer} - The 256-bit key.
+ */
+function deriveKey(passphrase, salt, parameters) {
+    return crypto.scryptSync(passphrase, salt, 32, { ...parameters, maxmem: SCRYPT_MAX_MEMORY });
+}
+
+/**
+ * Reads and decrypts a vault file.
+ * @param {string} file - The path of the vault file.
+ * @param {string} passphrase - The vault key.
+ * @returns {{header: object, key: Buffer, tables: object}|null} - The header of the file, the derived key
+ *   and the decrypted tokens; null if the file does not exist.
+ */
+function readVault(file, passphrase) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (err) {
+        if (err.code === 'ENOENT') {
+            return null;
+        }
+        throw err;
+    }
+    let content;
+    try {
+        content = JSON.parse(text);
+    } catch (err) {
+        throw new Error(`${file} is not a vault file: ${err.message}`);
+    }
+    const { iv, tag, data, ...header } = content;
+    if (header.format !== VAULT_FORMAT) {
+        throw new Error(`${file} is not a vault file.`);
+    }
+    if (header.version !== VAULT_VERSION) {
+        throw new Error(`Vault ${file} has version ${header.version}, only ${VAULT_VERSION} is supported.`);
+    }
+    const key = deriveKey(passphrase, Buffer.from(header.kdf.salt, 'base64'), header.kdf);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+    decipher.setAAD(Buffer.from(JSON.stringify(header)));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    let plaintext;
+    try {
+        plaintext = Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]);
+    } catch (err) {
+        throw new Error(`Cannot open vault ${file}: wrong key, or the file was modified.`);
+    }
+    return { header, key, tables: JSON.parse(plaintext.toString('utf8')).tables };
+}
+
+/**
+ * Opens a vault file, or prepares a new one if it does not exist. Tokens recorded are added to
+ * those already in the file, once saved.
+ * @param {string} file - The path of the vault file.
+ * @param {string} passphrase - The vault key.
+ * @returns {{file: string, size: number, record: Function, lookup: Function, columns: Function, save: Function}} - The
+ *   vault: `record(table, column, replacement, original)` adds a token, `lookup(table, column)` returns the
+ *   tokens of a column as a Map from replacement to original value (null if there are none), `columns()` lists
+ *   the columns of each table, `save()` writes the vault file, and `size` is the number of tokens.
+ */
+function openVault(file, passphrase) {
+    if (typeof passphrase !== 'string' || passphrase === '') {
+        throw new Error('A vault needs a key.');
+    }
+    const existing = readVault(file, passphrase);
+    let header = existing?.header;
+    let key = existing?.key;
+    if (!existing) {
+        const salt = crypto.randomBytes(16);
+        header = { format: VAULT_FORMAT, version: VAULT_VERSION, kdf: { name: 'scrypt', salt: salt.toString('base64'), ...SCRYPT_PARAMETERS } };
+        key = deriveKey(passphrase, salt, SCRYPT_PARAMETERS);
+    }
+
+    // Table -> column -> { tokens: Map<replacement, original>, ambiguous: Set<replacement> }
+    const tables = new Map();
+    const columnOf = (table, column) => {
+        if (!tables.has(table)) {
+            tables.set(table, new Map());
+        }
+        const columns = tables.get(table);
+        if (!columns.has(column)) {
+            columns.set(column, { tokens: new Map(), ambiguous: new Set() });
+        }
+        return columns.get(column);
+    };
+    for (const [table, columns] of Object.entries(existing?.tables ?? {})) {
+        for (const [column, { tokens, ambiguous }] of Object.entries(columns)) {
+            const entry = columnOf(table, column);
+            tokens.forEach(([replacement, original]) => entry.tokens.set(replacement, original));
+            ambiguous.forEach(replacement => entry.ambiguous.add(replacement));
+        }
+    }
+
+    const vault = {
+        file,
+        size: 0,
+        record: (table, column, replacement, original) => {
+            const entry = columnOf(table, column);
+            if (entry.ambiguous.has(replacement)) {
+                return;
+            }
+            if (entry.tokens.has(replacement)) {
+                if (entry.tokens.get(replacement) !== original) {
+                    entry.tokens.delete(replacement);
+                    entry.ambiguous.add(replacement);
+                    vault.size--;
+                }
+                return;
+            }
+            entry.tokens.set(replacement, original);
+            vault.size++;
+        },
+        lookup: (table, column) => tables.get(table)?.get(column)?.tokens ?? null,
+        columns: () => {
+            const result = {};
+            tables.forEach((columns, table) => {
+                result[table] = [...columns.keys()];
+            });
+            return result;
+        },
+        save: () => {
+            const content = {};
+            tables.forEach((columns, table) => {
+                content[table] = {};
+                columns.forEach(({ tokens, ambiguous }, column) => {
+                    content[table][column] = { tokens: [...tokens], ambiguous: [...ambiguous] };
+                });
+            });
+            const iv = crypto.randomBytes(12);
+            const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+            cipher.setAAD(Buffer.from(JSON.stringify(header)));
+            const data = Buffer.concat([cipher.update(JSON.stringify({ tables: content }), 'utf8'), cipher.final()]);
+            const temporaryFile = `${file}.tmp`;
+            fs.writeFileSync(temporaryFile, JSON.stringify({
+                ...header,
+                iv: iv.toString('base64'),
+                tag: cipher.getAuthTag().toString('base64'),
+                data: data.toString('base64'),
+            }), { mode: 0o600 });
+            fs.renameSync(temporaryFile, file);
+        },
+    };
+    tables.forEach(columns => columns.forEach(({ tokens }) => {
+        vault.size += tokens.size;
+    }));
+    return vault;
+}
+
+/**
+ * Restores original values in an anonymized dump from a vault. Values found in the vault are
+ * replaced by their original, counted as changed in `summary.tables`; the others are kept, and
+ * counted as skipped.
+ * @param {string|import('stream').Readable|{open: Function}} input - The anonymized dump (see anonymizeFile).
+ * @param {string|import('stream').Writable} output - Where to write the restored dump (see anonymizeFile).
+ * @param {object} options - The detokenization options.
+ * @param {object} options.vault - The vault (see openVault).
+ * @param {object} [options.tables] - The tables and columns to restore, named as in the anonymization
+ *   rules (e.g. `{ 'public.users': { columns: ['email'] } }`); strategies and row filters are ignored.
+ *   Every column of the vault by default.
+ * @param {string} [options.dialect='auto'] - The SQL dialect of the dump.
+ * @param {object} [options.logger] - Where to log (see createAnonymizer).
+ * @returns {Promise<object>} - The summary counts (see createAnonymizer).
+ */
+async function detokenizeFile(input, output, options) {
+    const { vault } = options;
+    const tables = {};
+    if (options.tables) {
+        for (const [tableName, { columns = [] }] of Object.entries(options.tables)) {
+            if (columns.length > 0) {
+                tables[tableName] = { columns: columns.map(entry => (typeof entry === 'object' && entry !== null ? entry.column : entry)) };
+            }
+        }
+    } else {
+        for (const [tableName, columns] of Object.entries(vault.columns())) {
+            tables[tableName] = { columns };
+        }
+    }
+    return anonymizeFile(input, output, { ...options, tables, workers: 1, detokenize: true });
+}
+
+module.exports = {
+    openVault,
+    detokenizeFile,
+};
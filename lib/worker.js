@@ -0,0 +1,20 @@
+/**
+ * Entry point of the worker threads of the anonymizer (see workers.js). Runs the batches of jobs
+ * it receives and sends back their results, along with the messages they logged.
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const { runJob } = require('./jobs');
+const { createRecordingLogger } = require('./logger');
+
+parentPort.on('message', ({ id, jobs }) => {
+    try {
+        const results = jobs.map(job => {
+            const logger = createRecordingLogger(workerData.logLevel);
+            return { ...runJob(job, logger), logs: logger.entries };
+        });
+        parentPort.postMessage({ id, results });
+    } catch (err) {
+        parentPort.postMessage({ id, error: err.message });
+    }
+});
@@ -0,0 +1,80 @@
+/**
+ * A pool of worker threads running anonymization jobs (see jobs.js and worker.js).
+ *
+ * Workers are started as they are needed, up to the size of the pool. Each batch of jobs goes to
+ * the worker with the fewest batches pending; results come back as promises, in whatever order
+ * the workers finish, and the anonymizer puts them back in input order.
+ */
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+/**
+ * Creates a worker pool.
+ * @param {number} size - The maximum number of worker threads.
+ * @param {string} logLevel - The most verbose level of the messages the jobs should record.
+ * @returns {{run: function(object[]): Promise<object[]>, close: function(): Promise<void>}} - The pool:
+ *   `run(jobs)` resolves with the results of a batch of jobs, and `close()` stops the workers.
+ */
+function createWorkerPool(size, logLevel) {
+    const workers = []; // { worker, pending: Map<id, {resolve, reject}> }
+    let nextId = 0;
+    let failure = null;
+
+    // Rejects every pending batch: the pool cannot be trusted once a worker has crashed
+    const fail = (err) => {
+        failure ??= err;
+        workers.forEach(({ pending }) => {
+            pending.forEach(({ reject }) => reject(failure));
+            pending.clear();
+        });
+    };
+
+    const spawn = () => {
+        const state = {
+            worker: new Worker(path.join(__dirname, 'worker.js'), { workerData: { logLevel } }),
+            pending: new Map(),
+        };
+        state.worker.on('message', ({ id, results, error }) => {
+            const batch = state.pending.get(id);
+            state.pending.delete(id);
+            if (error !== undefined) {
+                batch?.reject(new Error(error));
+            } else {
+                batch?.resolve(results);
+            }
+        });
+        state.worker.on('error', fail);
+        state.worker.on('exit', (code) => {
+            if (state.pending.size > 0) {
+                fail(new Error(`Worker thread exited with code ${code}`));
+            }
+        });
+        workers.push(state);
+        return state;
+    };
+
+    return {
+        run: (jobs) => {
+            if (failure) {
+                return Promise.reject(failure);
+            }
+            const idle = workers.find(({ pending }) => pending.size === 0);
+            const state = idle ?? (workers.length < size
+                ? spawn()
+                : workers.reduce((best, candidate) => (candidate.pending.size < best.pending.size ? candidate : best)));
+            const id = nextId++;
+            return new Promise((resolve, reject) => {
+                state.pending.set(id, { resolve, reject });
+                state.worker.postMessage({ id, jobs });
+            });
+        },
+        close: async () => {
+            await Promise.all(workers.map(({ worker }) => worker.terminate()));
+        },
+    };
+}
+
+module.exports = {
+    createWorkerPool,
+};
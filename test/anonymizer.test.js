@@ -0,0 +1,155 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { describe, it } = require('node:test');
+const { createAnonymizer } = require('../lib/anonymizer');
+const { anonymizeText, createMemoryLogger } = require('./helpers');
+
+const CUSTOMERS = fs.readFileSync(path.join(__dirname, 'fixtures', 'multiline-insert', 'input.sql'), 'utf8');
+const CUSTOMER_TABLES = { 'public.customers': { columns: ['name', { column: 'email', strategy: 'email' }] } };
+
+describe('createAnonymizer', () => {
+    it('keeps value sets with too few values, and counts them as skipped', async () => {
+        const logger = createMemoryLogger();
+        const { output, summary } = await anonymizeText(
+            "INSERT INTO products VALUES (1, 'a', 'x'), (2, 'b');\nINSERT INTO products (id) VALUES (3);\n",
+            { tables: { products: { columns: [3] } }, seed: 'test', logger },
+        );
+        assert.match(output, /, \(2, 'b'\);/);
+        assert.match(output, /VALUES \(3\);/);
+        assert.deepEqual(summary.tables.products.columns['3'], { changed: 1, unchanged: 0, skipped: 2, failed: 0 });
+        assert.equal(logger.messages.filter(({ level }) => level === 'warn').length, 2);
+    });
+
+    it('keeps typed strings that get no valid replacement, and counts them as skipped', async () => {
+        const { output, summary } = await anonymizeText(
+            "INSERT INTO t (born, mood) VALUES ('1980-05-17'::date, 'happy'::mood);\n",
+            { tables: { t: { columns: ['born', 'mood'] } }, seed: 'test' },
+        );
+        assert.match(output, /VALUES \( '\d{4}-\d{2}-\d{2}'::date, 'happy'::mood \);/);
+        assert.doesNotMatch(output, /1980-05-17/);
+        assert.deepEqual(summary.tables.t.columns, { born: { changed: 1, unchanged: 0, skipped: 0, failed: 0 }, mood: { changed: 0, unchanged: 0, skipped: 1, failed: 0 } });
+    });
+
+    it('keeps a value set that fails, counting its other columns as skipped and recording none of its tokens', async () => {
+        const recorded = [];
+        const vault = { record: (...token) => recorded.push(token) };
+        const columns = ['a', { column: 'code', strategy: 'fixed', value: 'x', unique: true }, 'c'];
+        const dump = "INSERT INTO t (a, code, c) VALUES ('1', 'y', '3'), ('4', 'z', '6');\n";
+        const { output, summary } = await anonymizeText(dump, { tables: { t: { columns } }, secret: 'secret', vault, logger: createMemoryLogger() });
+        assert.match(output, /, \('4', 'z', '6'\);/);
+        assert.deepEqual(summary.tables.t.columns, {
+            a: { changed: 1, unchanged: 0, skipped: 1, failed: 0 },
+            code: { changed: 1, unchanged: 0, skipped: 0, failed: 1 },
+            c: { changed: 1, unchanged: 0, skipped: 1, failed: 0 },
+        });
+        assert.deepEqual(recorded.map(([table, column, , original]) => [table, column, original]), [['t', 'a', '1'], ['t', 'code', 'y'], ['t', 'c', '3']]);
+    });
+
+    it('counts NULLs the strategy keeps NULL as unchanged, and leaves them out of the preview', async () => {
+        const dump = [
+            "INSERT INTO t (a, b) VALUES ('x', NULL), (NULL, NULL);",
+            'COPY t (a, b) FROM stdin;',
+            'y\t\\N',
+            '\\.',
+            '',
+        ].join('\n');
+        const { output, summary } = await anonymizeText(dump, { tables: { t: { columns: [{ column: 'a', strategy: 'mask' }, { column: 'b', strategy: 'mask' }] } }, seed: 'test', preview: 5 });
+        assert.match(output, /VALUES \( '[a-z]', NULL \), \(NULL, NULL\);\nCOPY t \(a, b\) FROM stdin;\n[a-z]\t\\N\n/);
+        assert.deepEqual(summary.tables.t.columns, { a: { changed: 2, unchanged: 1, skipped: 0, failed: 0 }, b: { changed: 0, unchanged: 3, skipped: 0, failed: 0 } });
+        assert.deepEqual(summary.preview.t.map(({ columns }) => Object.keys(columns)), [['a'], ['a']]);
+    });
+
+    it('does not take an INSERT in a comment or a function body for the statement', async () => {
+        const dump = [
+            '-- INSERT INTO users VALUES (',
+            "INSERT INTO orders (id, note) VALUES (1, 'kept');",
+            "CREATE FUNCTION f() RETURNS void AS $$ INSERT INTO users VALUES ('x'); $$ LANGUAGE sql;",
+            '',
+        ].join('\n');
+        const { output, summary } = await anonymizeText(dump, { tables: { users: { columns: [1] } }, seed: 'test' });
+        assert.equal(output, dump);
+        assert.equal(summary.tables.users.statements, 0);
+    });
+
+    it('gives the same output for the same seed', async () => {
+        const options = { tables: CUSTOMER_TABLES, seed: 'test' };
+        const first = await anonymizeText(CUSTOMERS, options);
+        const second = await anonymizeText(CUSTOMERS, options);
+        assert.notEqual(first.output, CUSTOMERS);
+        assert.equal(first.output, second.output);
+        assert.notEqual((await anonymizeText(CUSTOMERS, { ...options, seed: 'other' })).output, first.output);
+    });
+
+    it('gives the same output for the same seed with worker threads', async () => {
+        const options = { tables: CUSTOMER_TABLES, seed: 'test' };
+        const { output } = await anonymizeText(CUSTOMERS, options);
+        assert.equal((await anonymizeText(CUSTOMERS, { ...options, workers: 2 })).output, output);
+    });
+
+    it('gives different replacements to the same value in different rows with a seed, unlike with a secret', async () => {
+        const dump = "INSERT INTO t (email) VALUES ('same@example.org'), ('same@example.org');\n";
+        const replacements = async options => (await anonymizeText(dump, { tables: { t: { columns: ['email'] } }, ...options })).output.match(/'[^']*'/g);
+        const [first, second] = await replacements({ seed: 'test' });
+        assert.notEqual(first, second);
+        const [third, fourth] = await replacements({ seed: 'test', secret: 'secret' });
+        assert.equal(third, fourth);
+        assert.deepEqual(await replacements({ secret: 'secret' }), [third, fourth]);
+    });
+
+    it('warns once per column when pseudonyms are shortened to fit it', async () => {
+        const logger = createMemoryLogger();
+        const dump = [
+            'CREATE TABLE short (email varchar(20));',
+            "INSERT INTO short (email) VALUES ('ana@example.org'), ('bob@example.org');",
+            "INSERT INTO short (email) VALUES ('eve@example.org');",
+            'CREATE TABLE long (email varchar(100));',
+            "INSERT INTO long (email) VALUES ('ana@example.org');",
+            '',
+        ].join('\n');
+        const tables = { short: { columns: [{ column: 'email', strategy: 'email' }] }, long: { columns: [{ column: 'email', strategy: 'email' }] } };
+        await anonymizeText(dump, { tables, secret: 'secret', logger });
+        const warnings = logger.messages.filter(({ level }) => level === 'warn').map(({ message }) => message);
+        assert.equal(warnings.length, 1);
+        assert.match(warnings[0], /Column email of short: Some pseudonyms were shortened/);
+    });
+
+    it('warns once per column when it is too short for email addresses, also without a secret', async () => {
+        const logger = createMemoryLogger();
+        const dump = "CREATE TABLE t (email varchar(5));\nINSERT INTO t (email) VALUES ('ana@example.org'), ('bob@example.org');\n";
+        const { output } = await anonymizeText(dump, { tables: { t: { columns: [{ column: 'email', strategy: 'email' }] } }, seed: 'test', logger });
+        assert.match(output, /VALUES \( '[0-9a-f]{5}' \), \( '[0-9a-f]{5}' \);/);
+        const warnings = logger.messages.filter(({ level }) => level === 'warn').map(({ message }) => message);
+        assert.deepEqual(warnings, ['Column email of t: The column is too short for email addresses (5 characters), so random text was written instead.']);
+    });
+
+    it('counts the values kept in a unique column as used', async () => {
+        const { output, summary } = await anonymizeText(
+            "INSERT INTO t (code) VALUES ('taken'::mood), ('other');\n",
+            { tables: { t: { columns: [{ column: 'code', strategy: 'fixed', value: 'taken', unique: true }] } }, secret: 'secret' },
+        );
+        assert.equal(output, "INSERT INTO t (code) VALUES ('taken'::mood), ('other');\n");
+        assert.deepEqual(summary.tables.t.columns.code, { changed: 0, unchanged: 0, skipped: 1, failed: 1 });
+    });
+
+    it('remembers the values used in unique columns across a resume', async () => {
+        const dump = Array.from({ length: 6 }, (_, i) => `INSERT INTO t (code) VALUES ('same'), ('${i}');\n`).join('');
+        const options = { tables: { t: { columns: [{ column: 'code', unique: true }] } }, secret: 'secret' };
+        const full = await anonymizeText(dump, { ...options, checkpointInterval: 100 }, 50);
+        assert.equal(new Set(full.output.match(/'[^']*'/g)).size, 12);
+        const [state] = full.checkpoints;
+        const rest = await anonymizeText(Buffer.from(dump).subarray(state.inputOffset), { ...options, resumeFrom: state });
+        assert.equal(Buffer.from(full.output).subarray(0, state.outputOffset).toString() + rest.output, full.output);
+    });
+
+    it('gives different replacements with a seed to the rows of statements ending on the same line', async () => {
+        const dump = "INSERT INTO t (email) VALUES ('same@example.org'); INSERT INTO t (email) VALUES ('same@example.org');\n";
+        const { output } = await anonymizeText(dump, { tables: { t: { columns: ['email'] } }, seed: 'test' });
+        const [first, second] = output.match(/'[^']*'/g);
+        assert.notEqual(first, second);
+    });
+
+    it('rejects an empty seed', () => {
+        assert.throws(() => createAnonymizer({ tables: {}, seed: '' }), /"seed" option/);
+    });
+});
@@ -0,0 +1,101 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after, before, describe, it } = require('node:test');
+const { anonymizeFile } = require('../lib/anonymizer');
+const { createMemoryLogger } = require('./helpers');
+
+const OPTIONS = {
+    tables: {
+        users: { columns: [{ column: 'email', strategy: 'email', unique: true }, 'name'] },
+        orders: { columns: ['note'], dropRows: [{ column: 'id', lessThan: 100 }] },
+    },
+    seed: 'checkpoints',
+};
+
+/**
+ * Creates a dump of a few hundred kilobytes, read in several chunks, with a COPY block in the middle.
+ * @returns {string} - The dump.
+ */
+function createDump() {
+    const lines = ['CREATE TABLE users (id integer, email text, name text);'];
+    for (let i = 0; i < 1500; i++) {
+        lines.push(`INSERT INTO users (id, email, name) VALUES (${i}, 'user${i % 1000}@corp.es', 'Name ${i}'), (${i + 10000}, NULL, 'Other');`);
+    }
+    lines.push('COPY orders (id, note) FROM stdin;');
+    for (let i = 0; i < 2000; i++) {
+        lines.push(`${i}\tnote ${i}`);
+    }
+    lines.push('\\.');
+    for (let i = 0; i < 1000; i++) {
+        lines.push(`INSERT INTO orders (id, note) VALUES (${i}, 'order ${i}');`);
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+describe('checkpoints', () => {
+    let directory;
+    const file = name => path.join(directory, name);
+
+    before(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sql-anonymizer-checkpoint-'));
+        fs.writeFileSync(file('dump.sql'), createDump());
+    });
+
+    after(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('let an interrupted run resume and give the same output as an uninterrupted one', async () => {
+        const expected = await anonymizeFile(file('dump.sql'), file('expected.sql'), OPTIONS);
+
+        // Interrupted while processing a statement after the COPY block
+        const logger = createMemoryLogger();
+        logger.debug = (message) => {
+            if (message.startsWith('Testing statement ending line 3505 ')) {
+                throw new Error('Interrupted');
+            }
+        };
+        const checkpoint = { checkpoint: file('run.checkpoint'), checkpointInterval: 1000 };
+        await assert.rejects(anonymizeFile(file('dump.sql'), file('output.sql'), { ...OPTIONS, ...checkpoint, logger }), /Interrupted/);
+        const saved = JSON.parse(fs.readFileSync(file('run.checkpoint'), 'utf8'));
+        assert.ok(saved.state.inputOffset > 0);
+        fs.appendFileSync(file('output.sql'), 'garbage written after the checkpoint');
+
+        const resumed = createMemoryLogger();
+        const summary = await anonymizeFile(file('dump.sql'), file('output.sql'), { ...OPTIONS, ...checkpoint, resume: true, logger: resumed });
+        assert.match(resumed.messages.find(({ level }) => level === 'info').message, /^Resuming from checkpoint .*run\.checkpoint: line \d+ of the input/);
+        assert.ok(fs.readFileSync(file('output.sql')).equals(fs.readFileSync(file('expected.sql'))));
+        assert.deepEqual(summary, expected);
+        assert.equal(fs.existsSync(file('run.checkpoint')), false);
+    });
+
+    it('start from the beginning when there is no checkpoint to resume from', async () => {
+        const logger = createMemoryLogger();
+        await anonymizeFile(file('dump.sql'), file('fresh.sql'), { ...OPTIONS, checkpoint: file('none.checkpoint'), resume: true, logger });
+        assert.match(logger.messages.find(({ level }) => level === 'info').message, /^No checkpoint found/);
+        assert.ok(fs.readFileSync(file('fresh.sql')).equals(fs.readFileSync(file('expected.sql'))));
+    });
+
+    it('refuse to resume when the options or the input changed', async () => {
+        const checkpoint = { checkpoint: file('changed.checkpoint'), checkpointInterval: 1000 };
+        const logger = createMemoryLogger();
+        logger.debug = (message) => {
+            if (message.startsWith('Testing statement ending line 3505 ')) {
+                throw new Error('Interrupted');
+            }
+        };
+        await assert.rejects(anonymizeFile(file('dump.sql'), file('changed.sql'), { ...OPTIONS, ...checkpoint, logger }), /Interrupted/);
+        assert.ok(fs.existsSync(file('changed.checkpoint')));
+        await assert.rejects(anonymizeFile(file('dump.sql'), file('changed.sql'), { ...OPTIONS, ...checkpoint, seed: 'other', resume: true }), /the seed differs/);
+        await assert.rejects(anonymizeFile(file('dump.sql'), file('changed.sql'), { ...OPTIONS, ...checkpoint, tables: {}, resume: true }), /Cannot resume/);
+        fs.appendFileSync(file('dump.sql'), '-- changed\n');
+        await assert.rejects(anonymizeFile(file('dump.sql'), file('changed.sql'), { ...OPTIONS, ...checkpoint, resume: true }), /changed since checkpoint/);
+    });
+
+    it('need an input file and an uncompressed output file', async () => {
+        await assert.rejects(anonymizeFile(file('dump.sql'), file('out.sql.gz'), { ...OPTIONS, checkpoint: file('gz.checkpoint') }), /uncompressed output file/);
+        await assert.rejects(anonymizeFile('-', file('out.sql'), { ...OPTIONS, checkpoint: file('stdin.checkpoint') }), /need an input file/);
+    });
+});
@@ -0,0 +1,97 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+const { describe, it } = require('node:test');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+// Without the keys the environment of the tests may have
+const ENV = { ...process.env };
+delete ENV.SQL_ANONYMIZER_SECRET;
+delete ENV.SQL_ANONYMIZER_VAULT_KEY;
+
+/**
+ * Runs the command-line tool with a dump on stdin.
+ * @param {string[]} args - The arguments.
+ * @param {string} [input=''] - The dump.
+ * @returns {{status: number, stdout: string, stderr: string}} - The exit code and the output.
+ */
+function run(args, input = '') {
+    const { status, stdout, stderr } = spawnSync(process.execPath, [CLI, ...args], { input, env: ENV, encoding: 'utf8', timeout: 30000 });
+    return { status, stdout, stderr };
+}
+
+describe('cli', () => {
+    it('writes the anonymized dump to stdout, and its messages to stderr', () => {
+        const { status, stdout, stderr } = run(['-t', 'users', '-c', 'email:email', '--secret', 'secret', '--strict'], "INSERT INTO users (id, email) VALUES (1, 'ann@corp.es');\n");
+        assert.equal(status, 0);
+        assert.match(stdout, /^INSERT INTO users \(id, email\) VALUES \( 1, 'user_[0-9a-f]{10}@example\.com' \);\n$/);
+        assert.match(stderr, /Anonymization Process Finished/);
+    });
+
+    it('exits with 2 under --strict when a targeted value is kept', () => {
+        const { status, stdout, stderr } = run(['-t', 'users', '-c', 'email', '--strict'], "INSERT INTO users (id, email) VALUES (1, now()), (2, 'ann@corp.es');\n");
+        assert.equal(status, 2);
+        assert.match(stdout, /\(1, now\(\)\), \( 2, '[0-9a-f]+' \);/);
+        assert.match(stderr, /Strict mode: Table users, column email: 1 value\(s\) skipped and 0 failed/);
+        assert.equal(run(['-t', 'users', '-c', 'email'], "INSERT INTO users (id, email) VALUES (1, now());\n").status, 0);
+    });
+
+    it('exits with 3 under --strict when a configured table does not appear', () => {
+        const { status, stderr } = run(['-t', 'users', '-c', 'email', '--strict'], 'SELECT 1;\n');
+        assert.equal(status, 3);
+        assert.match(stderr, /Strict mode: Table users does not appear in the input/);
+    });
+
+    it('exits with 4 under scan --strict when values look like PII', () => {
+        const dump = "INSERT INTO users (id, email) VALUES (1, 'ann@corp.es');\n";
+        const { status, stdout, stderr } = run(['scan', '--strict'], dump);
+        assert.equal(status, 4);
+        assert.match(stdout, /users\t2 \(email\)\temail\t1/);
+        assert.doesNotMatch(stdout, /ann@corp\.es/);
+        assert.match(stderr, /Strict mode: 1 column\(s\) contain values that look like PII/);
+        assert.equal(run(['scan', '--strict'], "INSERT INTO users (id, email) VALUES (1, 'user_1@example.com');\n").status, 0);
+    });
+
+    it('suggests a config whose output passes scan --strict', () => {
+        const rows = Array.from({ length: 30 }, (_, i) => `(${i}, 'ann${i}@corp.es', '+34 612 345 ${String(i).padStart(3, '0')}', 'ES91 2100 0418 4502 0005 1332', '12345678Z', '4111111111111111')`);
+        const dump = `INSERT INTO users (id, email, phone, iban, dni, card) VALUES ${rows.join(', ')};\n`;
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sql-anonymizer-cli-'));
+        try {
+            const report = path.join(directory, 'scan.json');
+            assert.equal(run(['scan', '--report', report], dump).status, 0);
+            const { suggestedConfig } = JSON.parse(fs.readFileSync(report, 'utf8'));
+            assert.equal(suggestedConfig.tables.users.columns.length, 5);
+            const config = path.join(directory, 'config.json');
+            fs.writeFileSync(config, JSON.stringify(suggestedConfig));
+            const anonymized = run(['--config', config, '--seed', 'test', '--strict'], dump);
+            assert.equal(anonymized.status, 0);
+            const { status, stderr } = run(['scan', '--strict'], anonymized.stdout);
+            assert.equal(status, 0, stderr);
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+
+    it('exits with 1 when the run cannot be done', () => {
+        const { status, stderr } = run(['-i', path.join(__dirname, 'no-such-dump.sql'), '-t', 'users', '-c', 'email']);
+        assert.equal(status, 1);
+        assert.match(stderr, /Could not anonymize .*no-such-dump\.sql into stdout: .*ENOENT/);
+    });
+
+    it('exits quietly when stdout is closed early', async () => {
+        const rows = Array.from({ length: 20000 }, (_, i) => `INSERT INTO users (id, email) VALUES (${i}, 'user${i}@corp.es');`);
+        const child = spawn(process.execPath, [CLI, '-t', 'users', '-c', 'email:email'], { env: ENV });
+        let stderr = '';
+        child.stderr.on('data', (chunk) => {
+            stderr += chunk;
+        });
+        child.stdin.on('error', () => {}); // The tool may exit before reading all of its input
+        child.stdin.end(`${rows.join('\n')}\n`);
+        child.stdout.once('data', () => child.stdout.destroy());
+        const status = await new Promise(resolve => child.on('close', resolve));
+        assert.equal(status, 0);
+        assert.doesNotMatch(stderr, /ERROR|EPIPE/);
+    });
+});
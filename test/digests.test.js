@@ -0,0 +1,40 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { createDigestSet } = require('../lib/digests');
+
+describe('createDigestSet', () => {
+    it('tells the values added from the others', () => {
+        const set = createDigestSet();
+        set.add('ana@example.org');
+        set.add('ana@example.org');
+        set.add('');
+        assert.equal(set.size, 2);
+        assert.equal(set.has('ana@example.org'), true);
+        assert.equal(set.has(''), true);
+        assert.equal(set.has('bob@example.org'), false);
+    });
+
+    it('keeps every value as it grows', () => {
+        const set = createDigestSet();
+        for (let i = 0; i < 5000; i++) {
+            set.add(`user_${i}`);
+        }
+        assert.equal(set.size, 5000);
+        for (let i = 0; i < 5000; i++) {
+            assert.equal(set.has(`user_${i}`), true);
+        }
+        assert.equal(set.has('user_5000'), false);
+    });
+
+    it('is restored from its serialized digests', () => {
+        const set = createDigestSet();
+        ['a', 'b', 'é', '2021-01-01'].forEach(value => set.add(value));
+        const serialized = set.serialize();
+        assert.equal(Buffer.from(serialized, 'base64').length, 4 * 8);
+        const restored = createDigestSet(serialized);
+        assert.equal(restored.size, 4);
+        assert.equal(restored.has('é'), true);
+        assert.equal(restored.has('c'), false);
+        assert.equal(restored.serialize(), serialized);
+    });
+});
@@ -0,0 +1,79 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { anonymizeText, createMemoryLogger } = require('./helpers');
+
+const ids = (output, table) => [...output.matchAll(new RegExp(`^INSERT INTO ${table} \\(\\w+(?:, \\w+)*\\) VALUES \\((\\d+)`, 'gm'))].map(match => Number(match[1]));
+
+describe('row filters', () => {
+    it('drop every row of an excluded table, keeping its CREATE TABLE and the comments before its statements', async () => {
+        const dump = [
+            'CREATE TABLE audit_log (id int, message text);',
+            '-- Rows of audit_log',
+            "INSERT INTO audit_log (id, message) VALUES (1, 'a'), (2, 'b');",
+            'COPY audit_log (id, message) FROM stdin;',
+            '3\tc',
+            '\\.',
+            'INSERT INTO users (id) VALUES (1);',
+            '',
+        ].join('\n');
+        const { output, summary } = await anonymizeText(dump, { tables: { audit_log: { exclude: true } } });
+        // The COPY block goes as a whole, and the line ending before it stays
+        assert.equal(output, [
+            'CREATE TABLE audit_log (id int, message text);',
+            '-- Rows of audit_log',
+            '',
+            'INSERT INTO users (id) VALUES (1);',
+            '',
+        ].join('\n'));
+        assert.equal(summary.tables.audit_log.droppedRows, 3);
+        assert.equal(summary.droppedRows, 3);
+    });
+
+    it('keep the same sample of keys in every table and every run', async () => {
+        const users = Array.from({ length: 200 }, (_, i) => `INSERT INTO users (id) VALUES (${i});`);
+        const orders = Array.from({ length: 200 }, (_, i) => `INSERT INTO orders (user_id, id) VALUES (${i}, ${1000 + i});`);
+        const dump = [...users, ...orders, ''].join('\n');
+        const options = { tables: { users: { sample: 25 }, orders: { sample: 25, sampleKey: 'user_id' } } };
+        const { output } = await anonymizeText(dump, options);
+        const kept = ids(output, 'users');
+        assert.ok(kept.length > 20 && kept.length < 80, `${kept.length} of 200 rows kept`);
+        assert.deepEqual(ids(output, 'orders'), kept);
+        assert.equal((await anonymizeText(dump, options)).output, output);
+    });
+
+    it('drop the rows matching a dropRows predicate, comparing numbers as numbers', async () => {
+        const dump = [
+            "INSERT INTO users (id, status, score, deleted_at) VALUES (1, 'active', 9, NULL), (2, 'deleted', 10, '2020-01-01'),",
+            "    (3, 'active', 100, NULL), (4, 'active', 50, now());",
+            '',
+        ].join('\n');
+        const dropRows = [{ column: 'status', equals: 'deleted' }, { column: 'score', greaterThan: 90 }, { column: 'deleted_at', isNull: false }];
+        const { output, summary } = await anonymizeText(dump, { tables: { users: { dropRows } } });
+        // NULL is not "not null", and expressions such as now() never match
+        assert.equal(output, "INSERT INTO users (id, status, score, deleted_at) VALUES (1, 'active', 9, NULL), (4, 'active', 50, now());\n");
+        assert.equal(summary.tables.users.droppedRows, 2);
+    });
+
+    it('drop COPY rows, keeping the block when none is left', async () => {
+        const dump = 'COPY users (id, status) FROM stdin;\n1\tdeleted\n2\t\\N\n\\.\n';
+        const { output } = await anonymizeText(dump, { tables: { users: { dropRows: [{ column: 'status', in: ['deleted', 'banned'] }] } } });
+        assert.equal(output, 'COPY users (id, status) FROM stdin;\n2\t\\N\n\\.\n');
+        const { output: empty } = await anonymizeText(dump, { tables: { users: { dropRows: [{ column: 'id', lessThan: 10 }] } } });
+        assert.equal(empty, 'COPY users (id, status) FROM stdin;\n\\.\n');
+    });
+
+    it('leave out an INSERT whose rows are all dropped, keeping the comments before it', async () => {
+        const dump = "SELECT 1;\n-- Deleted users\nINSERT INTO users (id, status) VALUES (1, 'deleted');\n";
+        const { output, summary } = await anonymizeText(dump, { tables: { users: { dropRows: [{ column: 'status', matches: '^del' }] } } });
+        assert.equal(output, 'SELECT 1;\n-- Deleted users\n\n');
+        assert.equal(summary.droppedStatements, 1);
+    });
+
+    it('keep the rows when a filter column cannot be found, with a warning', async () => {
+        const logger = createMemoryLogger();
+        const dump = 'INSERT INTO users VALUES (1);\n';
+        const { output } = await anonymizeText(dump, { tables: { users: { dropRows: [{ column: 'status', equals: 'deleted' }] } }, logger });
+        assert.equal(output, dump);
+        assert.match(logger.messages.find(({ level }) => level === 'warn').message, /Cannot find column "status"/);
+    });
+});
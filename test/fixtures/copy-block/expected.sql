@@ -0,0 +1,7 @@
+COPY public.accounts (id, iban, holder) FROM stdin;
+1	QD7130470052932437040551	366
+2	HH7139627001452078031261	f06453d97
+3	\N	f5b06b
+\.
+
+SELECT 1;
@@ -0,0 +1,7 @@
+COPY public.accounts (id, iban, holder) FROM stdin;
+1	ES9121000418450200051332	Ana
+2	ES7921000813610123456789	Bob\tSmith
+3	\N	Nobody
+\.
+
+SELECT 1;
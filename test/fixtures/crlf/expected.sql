@@ -0,0 +1,8 @@
+INSERT INTO users (id, email, city) VALUES
+    ( 1, 'user_da275b4bb6@example.com', 'd65e2d' ),
+    ( 2, 'user_01ba15b19b@example.com', 'c8bba381ba6' );
+
+COPY public.users (id, email, city) FROM stdin;
+3	user_933c5d266a@example.com	54d7788
+4	user_5248fc4582@example.com	ca6ac86f12e75a0e
+\.
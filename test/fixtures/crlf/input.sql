@@ -0,0 +1,9 @@
+INSERT INTO users (id, email, city) VALUES
+    (1, 'one@example.org', 'Madrid'),
+    (2, 'two@example.org', 'Line
+break');
+
+COPY public.users (id, email, city) FROM stdin;
+3	three@example.org	Sevilla
+4	four@example.org	\N
+\.
@@ -0,0 +1,3 @@
+/*!40101 SET NAMES utf8mb4 */;
+INSERT INTO `people` (`id`, `name`, `quote`) VALUES ( 1, 'R\'Adzag', '6d8bab587609179bc5c9' ),( 2, 'U\'Azsdbh', 'cac603b8071' );
+INSERT INTO `people` (`id`, `name`, `quote`) VALUES ( 3, 'Yosv tenq ywdiqscnh\\', 'fda01e8c74c3f397' );
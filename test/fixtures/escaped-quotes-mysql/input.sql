@@ -0,0 +1,3 @@
+/*!40101 SET NAMES utf8mb4 */;
+INSERT INTO `people` (`id`, `name`, `quote`) VALUES (1,'O\'Brien','It\'s a \"quoted\" word'),(2,'D''Angelo','Back\\slash\\');
+INSERT INTO `people` (`id`, `name`, `quote`) VALUES (3,'Ends with backslash\\','Tab\tand newline\n');
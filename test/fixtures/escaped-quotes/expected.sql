@@ -0,0 +1,4 @@
+CREATE TABLE people (id integer PRIMARY KEY, name text, quote text);
+INSERT INTO people (id, name, quote) VALUES ( 1, 'R''Adzag', '6d8bab587609179bc5c9' );
+INSERT INTO people (id, name, quote) VALUES ( 2, E'Y\'Osvten', E'a1b9c50b3a60ed2c6ff28f' );
+INSERT INTO people (id, name, quote) VALUES ( 3, 'Kxsrm', '9e' );
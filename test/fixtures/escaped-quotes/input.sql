@@ -0,0 +1,4 @@
+CREATE TABLE people (id integer PRIMARY KEY, name text, quote text);
+INSERT INTO people (id, name, quote) VALUES (1, 'O''Brien', 'It''s a ''quoted'' word');
+INSERT INTO people (id, name, quote) VALUES (2, E'D\'Angelo', E'Back\\slash and \'quote\'');
+INSERT INTO people (id, name, quote) VALUES (3, 'Plain', '''''');
@@ -0,0 +1,3 @@
+INSERT INTO products VALUES ( 1, 'Widget', 'WJW-586' ), (2, 'Gadget'), ( 3, 'Gizmo', 'MGA-917' );
+INSERT INTO products (id, name) VALUES (4, 'Doohickey');
+INSERT INTO products (id, name, sku) VALUES ( 5, 'Thingamajig', 'YOS-871' );
@@ -0,0 +1,3 @@
+INSERT INTO products VALUES (1, 'Widget', 'SKU-001'), (2, 'Gadget'), (3, 'Gizmo', 'SKU-003');
+INSERT INTO products (id, name) VALUES (4, 'Doohickey');
+INSERT INTO products (id, name, sku) VALUES (5, 'Thingamajig', 'SKU-005');
@@ -0,0 +1,2 @@
+INSERT INTO users (id, email) VALUES ( 1, 'user_da275b4bb6@example.com' );
+INSERT INTO users (id, email) VALUES ( 2, 'user_b0e4fa0625@example.com' )
@@ -0,0 +1,2 @@
+INSERT INTO users (id, email) VALUES (1, 'first@example.org');
+INSERT INTO users (id, email) VALUES (2, 'last@example.org')
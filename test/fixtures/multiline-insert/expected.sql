@@ -0,0 +1,9 @@
+-- Customers, one row per line
+INSERT INTO public.customers (id, name, email, notes)
+VALUES
+    ( 1, 'da275b4bb6', 'user_d65e2d162e@example.com', '2b14e26774a147758ac5a7' ),
+    ( 2, '01ba15b19', 'user_c8bba381ba@example.com', '6ee9ad72c56cd903' ),
+    /* a comment between rows */
+    ( 3, '7f6385530e56', 'user_3df6a4b1a7@example.com', 'bd045d69b3f08beb0a858d8c' );
+
+INSERT INTO public.orders (id, customer_id, total) VALUES (10, 1, 99.95), (11, 2, 15.00);
@@ -0,0 +1,12 @@
+-- Customers, one row per line
+INSERT INTO public.customers (id, name, email, notes)
+VALUES
+    (1, 'Ana García', 'ana@example.org', 'first line
+second line'),
+    (2, 'Bob Smith',
+        'bob@example.org',
+        NULL),
+    /* a comment between rows */
+    (3, 'Chloé Martin', 'chloe@example.org', 'notes (with parentheses)');
+
+INSERT INTO public.orders (id, customer_id, total) VALUES (10, 1, 99.95), (11, 2, 15.00);
@@ -0,0 +1,5 @@
+INSERT INTO messages (id, body, author) VALUES ( 1, 'da275b4bb6d6', '5e2' );
+INSERT INTO messages (id, body, author) VALUES ( 2, 'b0e4fa0625e407c522c9841', '1' );
+-- A comment; with a semicolon
+INSERT INTO messages (id, body, author) VALUES ( 3, $$dollar; quoted$$, 'f' ); /* trailing; comment */
+INSERT INTO "my;table" (id, body) VALUES (4, 'not a target;');
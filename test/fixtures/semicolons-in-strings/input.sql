@@ -0,0 +1,5 @@
+INSERT INTO messages (id, body, author) VALUES (1, 'Hello; world', 'a;b');
+INSERT INTO messages (id, body, author) VALUES (2, 'DROP TABLE messages; --', 'c');
+-- A comment; with a semicolon
+INSERT INTO messages (id, body, author) VALUES (3, $$dollar; quoted$$, 'd'); /* trailing; comment */
+INSERT INTO "my;table" (id, body) VALUES (4, 'not a target;');
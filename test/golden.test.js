@@ -0,0 +1,39 @@
+/**
+ * Golden-file tests: every directory of test/fixtures holds an input dump, the options to
+ * anonymize it with (options.json, with a seed so that the output is reproducible) and the
+ * expected output. Run with UPDATE_GOLDEN=1 to write the expected outputs from the current code,
+ * then review the diff before committing it.
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { describe, it } = require('node:test');
+const { anonymizeText } = require('./helpers');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const UPDATE = process.env.UPDATE_GOLDEN === '1';
+
+describe('golden files', () => {
+    const fixtures = fs.readdirSync(FIXTURES_DIR, { withFileTypes: true }).filter(entry => entry.isDirectory()).map(entry => entry.name);
+
+    for (const fixture of fixtures) {
+        const dir = path.join(FIXTURES_DIR, fixture);
+        const input = fs.readFileSync(path.join(dir, 'input.sql'));
+        const options = JSON.parse(fs.readFileSync(path.join(dir, 'options.json'), 'utf8'));
+        const expectedFile = path.join(dir, 'expected.sql');
+
+        it(fixture, async () => {
+            const { output } = await anonymizeText(input, options);
+            if (UPDATE) {
+                fs.writeFileSync(expectedFile, output);
+            }
+            assert.equal(output, fs.readFileSync(expectedFile, 'utf8'));
+        });
+
+        it(`${fixture}, written in small chunks`, async () => {
+            const { output } = await anonymizeText(input, options, 7);
+            assert.equal(output, fs.readFileSync(expectedFile, 'utf8'));
+        });
+    }
+});
@@ -0,0 +1,52 @@
+/**
+ * Helpers shared by the tests.
+ */
+
+const { createAnonymizer } = require('../lib/anonymizer');
+
+/**
+ * Creates a logger keeping its messages, to check what a run reported.
+ * @returns {{error: Function, warn: Function, info: Function, debug: Function, messages: {level: string, message: string}[]}} -
+ *   The logger, with the messages logged so far.
+ */
+function createMemoryLogger() {
+    const messages = [];
+    const logger = { messages };
+    ['error', 'warn', 'info', 'debug'].forEach((level) => {
+        logger[level] = (message) => messages.push({ level, message });
+    });
+    return logger;
+}
+
+/**
+ * Anonymizes a dump held in memory.
+ * @param {string|Buffer} text - The dump.
+ * @param {object} options - The anonymization options (see createAnonymizer).
+ * @param {number} [chunkSize] - Write the dump in chunks of this many bytes, to check that the output does
+ *   not depend on where the chunks end; in one chunk by default.
+ * @returns {Promise<{output: string, summary: object, checkpoints: object[]}>} - The anonymized dump, the summary
+ *   counts and the states of the checkpoints, as saved in a checkpoint file.
+ */
+async function anonymizeText(text, options, chunkSize = Infinity) {
+    const anonymizer = createAnonymizer(options);
+    const chunks = [];
+    const checkpoints = [];
+    anonymizer.on('data', chunk => chunks.push(Buffer.from(chunk)));
+    anonymizer.on('checkpoint', state => checkpoints.push(JSON.parse(JSON.stringify(state))));
+    const finished = new Promise((resolve, reject) => {
+        anonymizer.on('end', resolve);
+        anonymizer.on('error', reject);
+    });
+    const input = Buffer.from(text);
+    for (let start = 0; start < input.length; start += chunkSize) {
+        anonymizer.write(input.subarray(start, start + chunkSize));
+    }
+    anonymizer.end();
+    await finished;
+    return { output: Buffer.concat(chunks).toString('utf8'), summary: anonymizer.summary, checkpoints };
+}
+
+module.exports = {
+    createMemoryLogger,
+    anonymizeText,
+};
@@ -0,0 +1,83 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { after, before, describe, it } = require('node:test');
+const { openInput, openOutput } = require('../lib/io');
+const { anonymizeFile } = require('../lib/anonymizer');
+
+const DUMP = "INSERT INTO users (id, email) VALUES (1, 'ann@corp.es'), (2, 'bob@corp.es');\n";
+const TABLES = { users: { columns: [{ column: 'email', strategy: 'email' }] } };
+
+/**
+ * Reads a whole stream.
+ * @param {Readable} stream - The stream.
+ * @returns {Promise<string>} - Its content.
+ */
+async function readAll(stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(Buffer.from(chunk));
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+describe('compressed dumps', () => {
+    let directory;
+    const file = name => path.join(directory, name);
+
+    before(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sql-anonymizer-io-'));
+    });
+
+    after(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('are read and written as their extension says', async () => {
+        fs.writeFileSync(file('dump.sql.gz'), zlib.gzipSync(DUMP));
+        await anonymizeFile(file('dump.sql.gz'), file('out.sql.br'), { tables: TABLES, secret: 'secret' });
+        const output = zlib.brotliDecompressSync(fs.readFileSync(file('out.sql.br'))).toString();
+        assert.match(output, /VALUES \( 1, 'user_[0-9a-f]{10}@example\.com' \), \( 2, 'user_[0-9a-f]{10}@example\.com' \);\n$/);
+
+        await anonymizeFile(file('out.sql.br'), file('again.sql.gz'), { tables: {} });
+        assert.equal(zlib.gunzipSync(fs.readFileSync(file('again.sql.gz'))).toString(), output);
+    });
+
+    it('are recognized by their magic bytes whatever their name, or on a stream', async () => {
+        fs.writeFileSync(file('dump.sql'), zlib.gzipSync(DUMP));
+        const { stream, compression } = await openInput(file('dump.sql'));
+        assert.equal(compression, 'gzip');
+        assert.equal(await readAll(stream), DUMP);
+        const piped = await openInput(Readable.from([zlib.gzipSync(DUMP)]));
+        assert.equal(piped.compression, 'gzip');
+        assert.equal(await readAll(piped.stream), DUMP);
+    });
+
+    it('can be read from an offset of the uncompressed dump', async () => {
+        fs.writeFileSync(file('plain.sql'), DUMP);
+        fs.writeFileSync(file('skip.sql.gz'), zlib.gzipSync(DUMP));
+        for (const name of ['plain.sql', 'skip.sql.gz']) {
+            assert.equal(await readAll((await openInput(file(name), { skip: 12 })).stream), DUMP.substring(12), name);
+        }
+    });
+
+    it('keep plain and short inputs as they are', async () => {
+        const plain = await openInput(Readable.from([Buffer.from('S'), Buffer.from('ELECT 1;')]));
+        assert.equal(plain.compression, null);
+        assert.equal(await readAll(plain.stream), 'SELECT 1;');
+        assert.equal(await readAll((await openInput(Readable.from([]))).stream), '');
+    });
+
+    it('are compressed with zstd when Node.js supports it', { skip: typeof zlib.zstdDecompressSync !== 'function' }, async () => {
+        fs.writeFileSync(file('dump.sql.zst'), zlib.zstdCompressSync(DUMP));
+        await anonymizeFile(file('dump.sql.zst'), file('out.sql.zst'), { tables: {} });
+        assert.equal(zlib.zstdDecompressSync(fs.readFileSync(file('out.sql.zst'))).toString(), DUMP);
+    });
+
+    it('fail with a clear message for zstd when Node.js does not support it', { skip: typeof zlib.createZstdCompress === 'function' }, () => {
+        assert.throws(() => openOutput(file('out.sql.zst')), /zstd is not supported by Node\.js/);
+    });
+});
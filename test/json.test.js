@@ -0,0 +1,90 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { parseJsonPath, rewriteJson } = require('../lib/json');
+const { anonymizeText, createMemoryLogger } = require('./helpers');
+
+/**
+ * Rewrites a document, replacing every selected value with a description of it.
+ * @param {string} text - The JSON document.
+ * @param {string[]} paths - The paths.
+ * @returns {string} - The rewritten document.
+ */
+function mark(text, paths) {
+    return rewriteJson(text, paths.map(path => ({ path: parseJsonPath(path), name: path })), (path, literal) => {
+        switch (literal.kind) {
+            case 'number':
+                return 0;
+            case 'boolean':
+                return false;
+            default:
+                return `<${path.name}>`;
+        }
+    });
+}
+
+describe('parseJsonPath', () => {
+    it('parses keys, indices, wildcards and quoted keys', () => {
+        assert.deepEqual(parseJsonPath('$.contacts[*].name'), ['contacts', null, 'name']);
+        assert.deepEqual(parseJsonPath("$.address.*['full name'][0]"), ['address', null, 'full name', 0]);
+        assert.deepEqual(parseJsonPath('$["a\\"b"]'), ['a"b']);
+        assert.deepEqual(parseJsonPath('$'), []);
+    });
+
+    it('rejects paths that do not start with $ or have invalid segments', () => {
+        assert.throws(() => parseJsonPath('email'), /must start with \$/);
+        assert.throws(() => parseJsonPath('$.a..b'), /unexpected "\.\.b"/);
+        assert.throws(() => parseJsonPath('$[-1]'), /unexpected/);
+    });
+});
+
+describe('rewriteJson', () => {
+    it('replaces only the selected values, keeping the rest of the document as written', () => {
+        const text = '{ "email" : "ann@corp.com",\n  "id": 12345678901234567890, "tags": ["a", "b"] }';
+        assert.equal(mark(text, ['$.email', '$.tags[1]']), '{ "email" : "<$.email>",\n  "id": 12345678901234567890, "tags": ["a", "<$.tags[1]>"] }');
+    });
+
+    it('replaces every value within a selected object or array, with values of the same type', () => {
+        const text = '{"address": {"city": "Madrid", "zip": 28001, "verified": true, "floor": null, "lines": ["x"]}}';
+        assert.equal(mark(text, ['$.address']), '{"address": {"city": "<$.address>", "zip": 0, "verified": false, "floor": null, "lines": ["<$.address>"]}}');
+    });
+
+    it('anonymizes a value selected by several paths with the first one, and ignores paths selecting nothing', () => {
+        const text = '{"contacts": [{"name": "Ann"}, {"name": "Bob"}]}';
+        assert.equal(mark(text, ['$.contacts[1].name', '$.contacts[*].name', '$.missing', '$.contacts[5]']),
+            '{"contacts": [{"name": "<$.contacts[*].name>"}, {"name": "<$.contacts[1].name>"}]}');
+    });
+
+    it('rejects invalid documents and replacements of the wrong type', () => {
+        assert.throws(() => mark('{"email": ', ['$.email']));
+        assert.throws(() => rewriteJson('{"n": 1}', [{ path: ['n'] }], () => 'abc'), /not a number/);
+    });
+});
+
+describe('JSON columns', () => {
+    it('give a value the same pseudonym in a document as in a plain column with a secret', async () => {
+        const dump = [
+            "INSERT INTO users (email, profile) VALUES ('ann@corp.com', '{\"email\": \"ann@corp.com\", \"name\": \"O''Brien\", \"age\": 41}');",
+            '',
+        ].join('\n');
+        const tables = { users: { columns: [{ column: 'email', strategy: 'email' }, { column: 'profile', json: [{ path: '$.email', strategy: 'email' }, '$.name'] }] } };
+        const { output, summary } = await anonymizeText(dump, { tables, secret: 'secret' });
+        const [, email, profile] = output.match(/VALUES \( '([^']*)', '(.*)' \);/);
+        const document = JSON.parse(profile.replace(/''/g, "'"));
+        assert.equal(document.email, email);
+        assert.notEqual(document.name, "O'Brien");
+        assert.equal(document.age, 41);
+        assert.deepEqual(summary.tables.users.columns.profile, { changed: 1, unchanged: 0, skipped: 0, failed: 0 });
+    });
+
+    it('keep values that are not valid JSON, and report them as failed without quoting them', async () => {
+        const dump = "INSERT INTO users (profile) VALUES ('{\"email\": secret}');\n";
+        const logger = createMemoryLogger();
+        const { output, summary } = await anonymizeText(dump, { tables: { users: { columns: [{ column: 'profile', json: ['$.email'] }] } }, logger });
+        assert.equal(output, dump);
+        assert.equal(summary.tables.users.columns.profile.failed, 1);
+        const errors = logger.messages.filter(({ level }) => level === 'error').map(({ message }) => message);
+        assert.equal(errors.length, 1);
+        assert.match(errors[0], /Invalid JSON: expected a value at position 10\.$/);
+        assert.doesNotMatch(errors[0], /"s"|secret/);
+    });
+});
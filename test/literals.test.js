@@ -0,0 +1,101 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { parseLiteral, formatLiteral, fitsType, parseCopyField, formatCopyField } = require('../lib/literals');
+const { DIALECTS } = require('../lib/dialects');
+
+describe('parseLiteral', () => {
+    it('decodes doubled quotes in standard strings', () => {
+        assert.equal(parseLiteral("'O''Brien'").value, "O'Brien");
+        assert.equal(parseLiteral("''''").value, "'");
+        assert.equal(parseLiteral("''").value, '');
+    });
+
+    it('decodes backslash escapes in PostgreSQL escape strings', () => {
+        const literal = parseLiteral("E'D\\'Angelo\\\\\\n'");
+        assert.equal(literal.kind, 'string');
+        assert.equal(literal.quoting, 'escape');
+        assert.equal(literal.value, "D'Angelo\\\n");
+    });
+
+    it('decodes backslash escapes and doubled quotes in MySQL strings', () => {
+        assert.equal(parseLiteral("'O\\'Brien'", DIALECTS.mysql).value, "O'Brien");
+        assert.equal(parseLiteral("'D''Angelo'", DIALECTS.mysql).value, "D'Angelo");
+        assert.equal(parseLiteral("'tab\\there\\\\'", DIALECTS.mysql).value, 'tab\there\\');
+    });
+
+    it('keeps backslashes in standard strings', () => {
+        assert.equal(parseLiteral("'C:\\path'").value, 'C:\\path');
+    });
+
+    it('tells NULL, numbers, booleans and expressions apart', () => {
+        assert.equal(parseLiteral('NULL').kind, 'null');
+        assert.equal(parseLiteral(' -12.5e3 ').kind, 'number');
+        assert.equal(parseLiteral('true').kind, 'boolean');
+        assert.equal(parseLiteral('now()').kind, 'expression');
+    });
+});
+
+describe('typed strings', () => {
+    it('keep the type of a cast apart from the value', () => {
+        const literal = parseLiteral("'2021-01-01'::date");
+        assert.deepEqual([literal.kind, literal.value, literal.type], ['string', '2021-01-01', 'date']);
+        assert.equal(parseLiteral("'3fa85f64-5717-4562-b3fc-2c963f66afa6'::uuid").type, 'uuid');
+        assert.equal(parseLiteral("'2021-01-01 10:00:00+01'::timestamp with time zone").type, 'timestamptz');
+        assert.equal(parseLiteral("'2021-01-01 10:00:00+01'::pg_catalog.\"timestamptz\"").type, 'timestamptz');
+        assert.equal(parseLiteral("'abc'::character varying(20)").type, 'varchar');
+    });
+
+    it('keep the type of a type prefix apart from the value', () => {
+        assert.deepEqual([parseLiteral("DATE '2021-01-01'").value, parseLiteral("DATE '2021-01-01'").type], ['2021-01-01', 'date']);
+        assert.equal(parseLiteral("TIMESTAMP WITH TIME ZONE '2021-01-01 10:00'").type, 'timestamptz');
+        assert.equal(parseLiteral("DATE '2021-01-01'", DIALECTS.mysql).type, 'date');
+        assert.equal(parseLiteral("_binary 'abc'", DIALECTS.mysql).type, null);
+        assert.equal(parseLiteral("'abc'").type, null);
+    });
+
+    it('only fit replacements that are valid values of their type', () => {
+        const date = parseLiteral("'2021-01-01'::date");
+        assert.equal(fitsType('2020-12-31', date), true);
+        assert.equal(fitsType('3fa9c1e07b', date), false);
+        assert.equal(fitsType('2020-12-31 23:59:59.5+02', parseLiteral("'2021-01-01 10:00:00+01'::timestamptz")), true);
+        assert.equal(fitsType('3fa9c1e07b', parseLiteral("TIMESTAMP '2021-01-01 10:00:00'")), false);
+        assert.equal(fitsType('3fa85f64-5717-4562-b3fc-2c963f66afa6', parseLiteral("'00000000-0000-0000-0000-000000000000'::uuid")), true);
+        assert.equal(fitsType('3fa9c1e07b', parseLiteral("'00000000-0000-0000-0000-000000000000'::uuid")), false);
+        assert.equal(fitsType('anything', parseLiteral("'abc'::text")), true);
+        assert.equal(fitsType('sad', parseLiteral("'happy'::mood")), false); // Types that cannot be checked
+        assert.equal(fitsType(null, parseLiteral("'2021-01-01'::date")), true);
+    });
+
+    it('are written back with their cast or type prefix', () => {
+        assert.equal(formatLiteral('2020-12-31', parseLiteral("'2021-01-01'::date")), "'2020-12-31'::date");
+        assert.equal(formatLiteral('2020-12-31', parseLiteral("DATE '2021-01-01'")), "DATE '2020-12-31'");
+    });
+});
+
+describe('formatLiteral', () => {
+    it('escapes quotes as the original literal did', () => {
+        assert.equal(formatLiteral("it's", parseLiteral("'x'")), "'it''s'");
+        assert.equal(formatLiteral("it's", parseLiteral("E'x'")), "E'it\\'s'");
+        assert.equal(formatLiteral("it's", parseLiteral("'x'", DIALECTS.mysql)), "'it\\'s'");
+    });
+
+    it('gives back the original value once parsed again', () => {
+        for (const [raw, dialect] of [["'O''Brien'", DIALECTS.postgres], ["E'a\\\\b\\'c'", DIALECTS.postgres], ["'a\\\\b\\'c'", DIALECTS.mysql]]) {
+            const literal = parseLiteral(raw, dialect);
+            assert.equal(parseLiteral(formatLiteral(literal.value, literal), dialect).value, literal.value);
+        }
+    });
+});
+
+describe('COPY fields', () => {
+    it('decodes COPY escapes and \\N', () => {
+        assert.equal(parseCopyField('a\\tb\\\\c').value, 'a\tb\\c');
+        assert.equal(parseCopyField('\\N').value, null);
+    });
+
+    it('encodes tabs, newlines and backslashes', () => {
+        const field = formatCopyField('a\tb\r\nc\\', parseCopyField('x'));
+        assert.doesNotMatch(field, /[\t\r\n]/);
+        assert.equal(parseCopyField(field).value, 'a\tb\r\nc\\');
+    });
+});
@@ -0,0 +1,54 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { detectPii } = require('../lib/pii');
+
+const typeOf = value => detectPii(value)?.type ?? null;
+
+describe('detectPii', () => {
+    it('recognizes IBANs by their mod-97 checksum, with or without spaces and in any case', () => {
+        assert.equal(typeOf('ES91 2100 0418 4502 0005 1332'), 'iban');
+        assert.equal(typeOf('es9121000418450200051332'), 'iban');
+        assert.equal(typeOf('GB82 WEST 1234 5698 7654 32'), 'iban');
+        assert.equal(typeOf('ES92 2100 0418 4502 0005 1332'), null);
+    });
+
+    it('recognizes card numbers by their Luhn checksum', () => {
+        assert.equal(typeOf('4111111111111111'), 'credit-card');
+        assert.equal(typeOf('4111 1111 1111 1111'), 'credit-card');
+        assert.equal(typeOf('4111-1111-1111-1112'), null);
+        assert.equal(typeOf('79927398713'), null); // Valid Luhn, but too short for a card
+    });
+
+    it('recognizes DNI and NIE numbers by their control letter', () => {
+        assert.equal(typeOf('12345678Z'), 'national-id');
+        assert.equal(typeOf('12345678z'), 'national-id');
+        assert.equal(typeOf('12345678-Z'), 'national-id');
+        assert.equal(typeOf('12345678A'), null);
+        assert.equal(typeOf('1234567Z'), null); // A DNI has 8 digits
+        assert.equal(typeOf('X1234567L'), 'national-id');
+        assert.equal(typeOf('Y1234567X'), 'national-id');
+        assert.equal(typeOf('Z1234567R'), 'national-id');
+        assert.equal(typeOf('X-1234567-L'), 'national-id');
+        assert.equal(typeOf('X12345678L'), null); // A NIE has 7 digits
+        assert.equal(typeOf('X1234567M'), null);
+    });
+
+    it('recognizes formatted phone numbers, not bare digits', () => {
+        assert.equal(typeOf('+34 612 345 678'), 'phone');
+        assert.equal(typeOf('(555) 123-4567'), 'phone');
+        assert.equal(typeOf('612345678'), null);
+        assert.equal(typeOf('1234567.89'), null);
+    });
+
+    it('recognizes email addresses, except at reserved domains', () => {
+        assert.deepEqual(detectPii('ana@corp.es'), { type: 'email', strategy: 'email' });
+        assert.equal(typeOf('user_1a2b3c4d5e@example.com'), null);
+        assert.equal(typeOf('ana@mail.test'), null);
+    });
+
+    it('ignores NULL, short and long values', () => {
+        assert.equal(detectPii(null), null);
+        assert.equal(typeOf('a@b.c'), null);
+        assert.equal(typeOf(`${'a'.repeat(250)}@corp.es`), null);
+    });
+});
@@ -0,0 +1,25 @@
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const { describe, it } = require('node:test');
+const { scanFile } = require('../lib/scanner');
+
+describe('scanFile', () => {
+    it('counts the values that look like PII per column, in INSERTs and COPY rows', async () => {
+        const dump = [
+            "INSERT INTO users (id, email, iban) VALUES (1, 'ana@corp.es', 'ES91 2100 0418 4502 0005 1332'), (2, 'bob@example.com', 'none');",
+            'COPY public.people (id, dni) FROM stdin;',
+            '1\t12345678Z',
+            '2\t12345678A',
+            '\\.',
+            '',
+        ].join('\n');
+        const findings = await scanFile(Readable.from([dump]));
+        assert.equal(findings.scannedRows, 4);
+        assert.deepEqual(findings.columns.map(({ table, columnName, type, count }) => [table, columnName, type, count]), [
+            ['public.people', 'dni', 'national-id', 1],
+            ['users', 'email', 'email', 1],
+            ['users', 'iban', 'iban', 1],
+        ]);
+        assert.doesNotMatch(JSON.stringify(findings), /ana@corp\.es|12345678Z/);
+    });
+});
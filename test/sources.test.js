@@ -0,0 +1,98 @@
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { Writable } = require('stream');
+const { describe, it } = require('node:test');
+const { createRowSource, createExecSource } = require('../lib/sources');
+const { anonymizeFile } = require('../lib/anonymizer');
+
+/**
+ * Reads the whole dump of a source adapter.
+ * @param {{open: Function}} source - The adapter.
+ * @returns {Promise<string>} - The dump.
+ */
+async function readSource(source) {
+    const { stream } = await source.open();
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(Buffer.from(chunk));
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Returns a shell command running a Node.js script.
+ * @param {string} script - The script.
+ * @returns {string} - The command.
+ */
+const nodeCommand = script => `"${process.execPath}" -e ${JSON.stringify(script)}`;
+
+describe('createRowSource', () => {
+    it('writes rows given as arrays or objects as INSERT statements', async () => {
+        const source = createRowSource([
+            { table: 'public.users', columns: ['id', 'email', 'Full Name'], rows: [[1, "o'brien@corp.es", null], { id: 2n, email: 'ann@corp.es', 'Full Name': 'Ann' }] },
+        ]);
+        assert.equal(await readSource(source), [
+            'INSERT INTO public.users (id, email, "Full Name") VALUES',
+            "(1, 'o''brien@corp.es', NULL),",
+            "(2, 'ann@corp.es', 'Ann');",
+            '',
+        ].join('\n'));
+    });
+
+    it('encodes dates, buffers, booleans and objects, for each dialect', async () => {
+        const rows = [[new Date('2024-01-02T03:04:05Z'), Buffer.from('hi'), true, { a: "it's" }]];
+        const table = { table: 'events', columns: ['at', 'data', 'ok', 'payload'], rows };
+        assert.equal(await readSource(createRowSource([table])),
+            `INSERT INTO events (at, data, ok, payload) VALUES\n('2024-01-02T03:04:05.000Z', '\\x6869'::bytea, TRUE, '{"a":"it''s"}');\n`);
+        assert.equal(await readSource(createRowSource([table], { dialect: 'mysql' })),
+            `INSERT INTO \`events\` (\`at\`, \`data\`, \`ok\`, \`payload\`) VALUES\n('2024-01-02T03:04:05.000Z', 0x6869, TRUE, '{\\"a\\":\\"it\\'s\\"}');\n`);
+    });
+
+    it('splits the rows of async iterables into statements of rowsPerStatement rows', async () => {
+        async function* rows() {
+            for (let id = 1; id <= 5; id++) {
+                yield [id];
+            }
+        }
+        const dump = await readSource(createRowSource([{ table: 't', columns: ['id'], rows: rows() }], { rowsPerStatement: 2 }));
+        assert.equal(dump.match(/^INSERT INTO t/gm).length, 3);
+        assert.match(dump, /\(5\);\n$/);
+    });
+
+    it('rejects rows with the wrong number of values and invalid options', async () => {
+        await assert.rejects(readSource(createRowSource([{ table: 't', columns: ['a', 'b'], rows: [[1]] }])), /has 1 values for 2 columns/);
+        assert.throws(() => createRowSource([], { rowsPerStatement: 0 }), /rowsPerStatement/);
+    });
+
+    it('can be anonymized like a dump', async () => {
+        const chunks = [];
+        const output = new Writable({
+            write(chunk, encoding, callback) {
+                chunks.push(chunk);
+                callback();
+            },
+        });
+        const source = createRowSource([{ table: 'users', columns: ['id', 'email'], rows: [[1, 'ann@corp.es']] }]);
+        const summary = await anonymizeFile(source, output, { tables: { users: { columns: [{ column: 'email', strategy: 'email' }] } } });
+        assert.match(Buffer.concat(chunks).toString(), /^INSERT INTO users \(id, email\) VALUES\n\( 1, 'user_[0-9a-f]{10}@example\.com' \);\n$/);
+        assert.equal(summary.tables.users.columns.email.changed, 1);
+    });
+});
+
+describe('createExecSource', () => {
+    it('reads the dump from the stdout of a command', async () => {
+        const dump = await readSource(createExecSource(nodeCommand("process.stdout.write('SELECT 1;\\n')")));
+        assert.equal(dump, 'SELECT 1;\n');
+    });
+
+    it('decompresses a compressed output', async () => {
+        const compressed = zlib.gzipSync('SELECT 2;\n').toString('base64');
+        const dump = await readSource(createExecSource(nodeCommand(`process.stdout.write(Buffer.from('${compressed}', 'base64'))`)));
+        assert.equal(dump, 'SELECT 2;\n');
+    });
+
+    it('fails with the exit code and the end of stderr when the command fails', async () => {
+        const source = createExecSource(nodeCommand("process.stdout.write('SELECT 1;'); console.error('no such database'); process.exit(3)"));
+        await assert.rejects(readSource(source), /The command exited with code 3: no such database/);
+    });
+});
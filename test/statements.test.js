@@ -0,0 +1,79 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { parseInsert, splitInsertValues, parseCreateTable } = require('../lib/statements');
+const { DIALECTS } = require('../lib/dialects');
+
+/**
+ * Returns the text of the value sets of an INSERT statement.
+ * @param {string} statement - The statement.
+ * @param {object} [dialect] - The dialect.
+ * @returns {string[]} - The value sets, with their parentheses.
+ */
+function valueSetsOf(statement, dialect = DIALECTS.postgres) {
+    const { valuesPart, valueSets } = splitInsertValues(statement, dialect);
+    return valueSets.map(({ start, end }) => valuesPart.substring(start, end));
+}
+
+describe('parseInsert', () => {
+    it('finds the table and the column list', () => {
+        assert.deepEqual(parseInsert('INSERT INTO public.users (id, email) VALUES (1, 2);'), { tableName: 'public.users', columnNames: ['id', 'email'] });
+        assert.deepEqual(parseInsert('INSERT INTO `users` VALUES (1);'), { tableName: 'users', columnNames: undefined });
+    });
+
+    it('finds the table of a statement spanning several lines', () => {
+        assert.equal(parseInsert('-- users\nINSERT INTO\n  users\n  (id)\nVALUES\n  (1);').tableName, 'users');
+    });
+
+    it('ignores INSERTs in the comments before the statement', () => {
+        const statement = '-- INSERT INTO users VALUES (\n/* INSERT INTO users (email) VALUES ( */\nINSERT INTO orders (id, total) VALUES (1, 2);';
+        assert.deepEqual(parseInsert(statement), { tableName: 'orders', columnNames: ['id', 'total'] });
+    });
+
+    it('ignores INSERTs in strings and function bodies', () => {
+        assert.equal(parseInsert('CREATE FUNCTION f() RETURNS void AS $$ INSERT INTO users VALUES (1); $$ LANGUAGE sql;'), null);
+        assert.equal(parseInsert("SELECT 'INSERT INTO users VALUES (1)';"), null);
+    });
+
+    it('reads quoted identifiers as written', () => {
+        assert.deepEqual(parseInsert('INSERT INTO public."order;s" ("a)b", c) VALUES (1, 2);'), { tableName: 'public.order;s', columnNames: ['a)b', 'c'] });
+    });
+});
+
+describe('splitInsertValues', () => {
+    it('finds the value sets of a multi-line VALUES list', () => {
+        const statement = "INSERT INTO t (a, b)\nVALUES\n  (1, 'x\ny'),\n  /* comment */\n  (2, f(3, 4));";
+        assert.deepEqual(valueSetsOf(statement), ["(1, 'x\ny')", '(2, f(3, 4))']);
+    });
+
+    it('ignores parentheses and semicolons in strings', () => {
+        assert.deepEqual(valueSetsOf("INSERT INTO t VALUES ('(;', ')'), (';)', E'\\')');"), ["('(;', ')')", "(';)', E'\\')')"]);
+        assert.deepEqual(valueSetsOf("INSERT INTO t VALUES ('it\\')', 1);", DIALECTS.mysql), ["('it\\')', 1)"]);
+    });
+
+    it('keeps what follows the VALUES list as the tail', () => {
+        const parts = splitInsertValues('INSERT INTO t VALUES (1, 2) ON CONFLICT (id) DO NOTHING RETURNING (id);', DIALECTS.postgres);
+        assert.equal(parts.prefix, 'INSERT INTO t');
+        assert.equal(parts.tail, ' ON CONFLICT (id) DO NOTHING RETURNING (id);');
+        assert.equal(parts.valueSets.length, 1);
+    });
+
+    it('works without a trailing semicolon', () => {
+        const parts = splitInsertValues('INSERT INTO t VALUES (1), (2)', DIALECTS.postgres);
+        assert.equal(parts.valueSets.length, 2);
+        assert.equal(parts.tail, '');
+    });
+
+    it('returns null without VALUES', () => {
+        assert.equal(splitInsertValues('INSERT INTO t SELECT * FROM u;', DIALECTS.postgres), null);
+    });
+});
+
+describe('parseCreateTable', () => {
+    it('finds the columns, their lengths and the unique ones', () => {
+        const table = parseCreateTable('CREATE TABLE users (\n  id integer PRIMARY KEY,\n  email varchar(20) UNIQUE,\n  name text\n);', DIALECTS.postgres);
+        assert.equal(table.tableName, 'users');
+        assert.deepEqual(table.columns, ['id', 'email', 'name']);
+        assert.deepEqual(table.maxLengths, [null, 20, null]);
+        assert.ok(table.uniqueColumns.includes('email'));
+    });
+});
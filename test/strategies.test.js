@@ -0,0 +1,118 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { applyStrategy, computeReplacement, createSeededRandom, validateStrategy, getStrategyNames } = require('../lib/strategies');
+const { parseLiteral } = require('../lib/literals');
+
+const EMAIL = { kind: 'string', value: 'ana@example.org' };
+// Values for the strategies that do not take an email address
+const VALUES = {
+    'date-shift': { kind: 'string', value: '2024-02-29 10:00:00' },
+    noise: { kind: 'number', value: '1234.56' },
+};
+
+/**
+ * Applies a strategy to a value with the random source of a row.
+ * @param {string} name - The strategy name.
+ * @param {string} seed - The seed of the run.
+ * @param {string} row - The row.
+ * @returns {*} - The replacement.
+ */
+const seeded = (name, seed, row) => computeReplacement(name, VALUES[name] ?? EMAIL, {}, undefined, { random: createSeededRandom(seed, row) });
+
+describe('createSeededRandom', () => {
+    it('gives the same sequence for the same seed and row', () => {
+        const a = createSeededRandom('seed', '1');
+        const b = createSeededRandom('seed', '1');
+        assert.deepEqual([a.hex(40), a.int(0, 1000), a.float()], [b.hex(40), b.int(0, 1000), b.float()]);
+    });
+
+    it('gives different sequences for different seeds or rows', () => {
+        const reference = createSeededRandom('seed', '1').hex(32);
+        assert.notEqual(createSeededRandom('seed', '2').hex(32), reference);
+        assert.notEqual(createSeededRandom('other', '1').hex(32), reference);
+    });
+});
+
+describe('computeReplacement', () => {
+    it('is reproducible with the random source of a row', () => {
+        for (const name of getStrategyNames()) {
+            assert.deepEqual(seeded(name, 'seed', '7'), seeded(name, 'seed', '7'), name);
+        }
+        assert.notEqual(seeded('email', 'seed', '7'), seeded('email', 'seed', '8'));
+    });
+
+    it('is deterministic with a secret, whatever the random source', () => {
+        const withSecret = row => computeReplacement('email', EMAIL, {}, 'secret', { random: createSeededRandom('seed', row) });
+        assert.equal(withSecret('1'), withSecret('2'));
+        assert.equal(withSecret('1'), computeReplacement('email', EMAIL, {}, 'secret'));
+    });
+
+    it('gives another replacement for each attempt', () => {
+        const attempt = n => computeReplacement('email', EMAIL, {}, 'secret', { attempt: n });
+        assert.notEqual(attempt(0), attempt(1));
+        assert.equal(attempt(1), attempt(1));
+    });
+
+    it('truncates text to the maximum length of the column', () => {
+        assert.equal(computeReplacement('random', EMAIL, {}, 'secret', { maxLength: 5 }).length, 5);
+    });
+
+    it('tells when the replacement was shortened to fit the column', () => {
+        const column = maxLength => {
+            const options = { maxLength };
+            computeReplacement('email', EMAIL, {}, 'secret', options);
+            return options.shortened;
+        };
+        assert.equal(column(null), false);
+        assert.equal(column(40), false);
+        assert.equal(column(20), true); // The email strategy shortens the local part
+        const random = { maxLength: 5 };
+        computeReplacement('random', EMAIL, {}, 'secret', random);
+        assert.equal(random.shortened, true);
+    });
+
+    it('moves email addresses to a short reserved domain rather than cutting the domain off', () => {
+        const email = (maxLength, options = {}) => {
+            const column = { maxLength };
+            return [computeReplacement('email', EMAIL, options, 'secret', column), column.warning];
+        };
+        assert.match(email(40)[0], /^user_[0-9a-f]{10}@example\.com$/);
+        assert.match(email(12)[0], /^[0-9a-f]{5}@x\.test$/);
+        assert.match(email(20, { domain: 'mail.corp' })[0], /^[0-9a-f]{10}@mail\.corp$/);
+        assert.match(email(10, { domain: 'mail.corp' })[0], /^[0-9a-f]{3}@x\.test$/);
+        assert.equal(email(12)[1], null);
+    });
+
+    it('gives random text with a warning when the column is too short for an email address', () => {
+        const [replacement, warning] = (() => {
+            const column = { maxLength: 5 };
+            return [computeReplacement('email', EMAIL, {}, 'secret', column), column.warning];
+        })();
+        assert.match(replacement, /^[0-9a-f]{5}$/);
+        assert.match(warning, /too short for email addresses \(5 characters\)/);
+    });
+});
+
+describe('applyStrategy', () => {
+    it('gives random values of the type of typed strings', () => {
+        assert.match(applyStrategy('random', parseLiteral("'2021-01-01'::date"), {}, 'secret'), /^'\d{4}-\d{2}-\d{2}'::date$/);
+        assert.match(applyStrategy('random', parseLiteral("DATE '2021-01-01'"), {}, 'secret'), /^DATE '\d{4}-\d{2}-\d{2}'$/);
+        assert.match(applyStrategy('random', parseLiteral("'2021-01-01 10:00:00+01'::timestamptz"), {}, 'secret'), /^'\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}'::timestamptz$/);
+        assert.match(applyStrategy('random', parseLiteral("'3fa85f64-5717-4562-b3fc-2c963f66afa6'::uuid"), {}, 'secret'), /^'[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}'::uuid$/);
+        assert.match(applyStrategy('random', parseLiteral("'12.50'::numeric"), {}, 'secret'), /^'[1-9]\d\.\d\d'::numeric$/);
+    });
+
+    it('keeps typed strings whose replacement is not a value of their type', () => {
+        assert.equal(applyStrategy('hash', parseLiteral("'2021-01-01'::date"), {}, 'secret'), null);
+        assert.equal(applyStrategy('random', parseLiteral("'happy'::mood"), {}, 'secret'), null);
+        assert.equal(applyStrategy('date-shift', parseLiteral("'2021-01-01'::date"), { maxDays: 0 }, 'secret'), "'2021-01-01'::date");
+        assert.equal(applyStrategy('null', parseLiteral("'2021-01-01'::date"), {}, 'secret'), 'NULL');
+    });
+});
+
+describe('validateStrategy', () => {
+    it('rejects unknown strategies and invalid options', () => {
+        assert.throws(() => validateStrategy('nope', {}), /Unknown strategy: nope/);
+        assert.throws(() => validateStrategy('noise', { ratio: -1 }), /ratio/);
+    });
+});
@@ -0,0 +1,127 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { createStatementSplitter, createDumpReader, splitTopLevel, maskLiterals } = require('../lib/tokenizer');
+const { DIALECTS } = require('../lib/dialects');
+
+/**
+ * Splits a whole text, pushed in chunks of the given size.
+ * @param {string} text - The text.
+ * @param {object} [dialect] - The dialect.
+ * @param {number} [chunkSize] - Characters per chunk.
+ * @returns {object[]} - The items (see createStatementSplitter).
+ */
+function split(text, dialect = DIALECTS.postgres, chunkSize = Infinity) {
+    const splitter = createStatementSplitter(dialect);
+    const items = [];
+    for (let start = 0; start < text.length; start += chunkSize) {
+        items.push(...splitter.push(text.substring(start, start + chunkSize)));
+    }
+    items.push(...splitter.end());
+    return items;
+}
+
+const join = items => items.map(item => item.text + (item.ending ?? '')).join('');
+
+describe('createStatementSplitter', () => {
+    it('does not end statements at semicolons in strings, identifiers, comments or dollar quotes', () => {
+        const text = [
+            "INSERT INTO t VALUES ('a;b', E'c\\';d');",
+            'INSERT INTO "x;y" VALUES (1);',
+            '-- comment; here',
+            '/* block; comment */ INSERT INTO t VALUES ($$e;f$$, $tag$g;h$tag$);',
+            '',
+        ].join('\n');
+        const statements = split(text).filter(item => item.type === 'statement');
+        assert.equal(statements.length, 3);
+        assert.match(statements[0].text, /'c\\';d'\);$/);
+        assert.match(statements[2].text, /\$tag\$\);$/);
+    });
+
+    it('does not end statements at semicolons in MySQL strings with backslash escapes', () => {
+        const statements = split("INSERT INTO t VALUES ('it\\'s; fine', 'back\\\\');\nSELECT 1;\n", DIALECTS.mysql)
+            .filter(item => item.type === 'statement');
+        assert.deepEqual(statements.map(item => item.text.trim()), ["INSERT INTO t VALUES ('it\\'s; fine', 'back\\\\');", 'SELECT 1;']);
+    });
+
+    it('counts lines of multi-line statements and strings', () => {
+        const statements = split("INSERT INTO t VALUES\n  (1, 'a\nb'),\n  (2, 'c');\nSELECT 1;\n").filter(item => item.type === 'statement');
+        assert.deepEqual(statements.map(item => item.endLine), [4, 5]);
+    });
+
+    it('keeps CRLF line endings, in statements and COPY rows', () => {
+        const text = 'SELECT 1;\r\nCOPY t (a, b) FROM stdin;\r\n1\tx\r\n2\ty\r\n\\.\r\n';
+        const items = split(text);
+        assert.deepEqual(items.map(item => item.type), ['statement', 'statement', 'copy-row', 'copy-row', 'copy-end']);
+        assert.deepEqual(items.filter(item => item.type === 'copy-row').map(item => [item.text, item.ending, item.line]), [['1\tx', '\r\n', 3], ['2\ty', '\r\n', 4]]);
+        assert.equal(join(items), text);
+    });
+
+    it('returns a last statement without a semicolon as trailing text', () => {
+        const items = split('SELECT 1;\nINSERT INTO t VALUES (1)\n');
+        assert.deepEqual(items.map(item => item.type), ['statement', 'trailing']);
+        assert.equal(items[1].text, '\nINSERT INTO t VALUES (1)\n');
+    });
+
+    it('gives the same items whatever the size of the chunks', () => {
+        const text = "INSERT INTO t VALUES ('a;\r\nb', $$c;$$);\r\n-- x;\r\nCOPY t FROM stdin;\r\n1\r\n\\.\r\nSELECT 'é;'";
+        const whole = split(text);
+        for (const chunkSize of [1, 2, 5, 13]) {
+            assert.deepEqual(split(text, DIALECTS.postgres, chunkSize), whole);
+        }
+        assert.equal(join(whole), text);
+    });
+
+    it('finds the end of literals that span many chunks', () => {
+        const postgres = "SELECT E'a\\';''b;\n', 'c'';d', /* e; /* f; */ g; */ $tag$h;$ta$tag$;\n-- i;\nSELECT 1;\n";
+        const mysql = "SELECT 'a\\\\;b\\';\n', `c``;d`, /* e; /* f; */ 'g;';\n# h;\nSELECT 1;\n";
+        for (const [text, dialect] of [[postgres, DIALECTS.postgres], [mysql, DIALECTS.mysql]]) {
+            const whole = split(text, dialect);
+            assert.deepEqual(whole.filter(item => item.type === 'statement').map(item => item.endLine), [2, 4]);
+            for (const chunkSize of [1, 2, 3, 7]) {
+                assert.deepEqual(split(text, dialect, chunkSize), whole);
+            }
+        }
+    });
+});
+
+describe('createDumpReader', () => {
+    it('decodes characters split across chunks and detects the dialect', () => {
+        const reader = createDumpReader();
+        const input = Buffer.from("LOCK TABLES `t` WRITE;\nINSERT INTO `t` VALUES ('é\\';');\n");
+        const split = input.indexOf('é') + 1; // Inside the two bytes of é
+        const items = [...reader.push(input.subarray(0, split)), ...reader.push(input.subarray(split)), ...reader.end()];
+        assert.equal(reader.dialect.name, 'mysql');
+        assert.deepEqual(items.map(item => item.text), ['LOCK TABLES `t` WRITE;', "\nINSERT INTO `t` VALUES ('é\\';');", '\n']);
+    });
+
+    it('keeps a given dialect, and stops detecting once the dialect is settled', () => {
+        const given = createDumpReader({ dialect: DIALECTS.postgres });
+        given.push('LOCK TABLES `t` WRITE;\n');
+        assert.equal(given.dialect, DIALECTS.postgres);
+        const reader = createDumpReader();
+        reader.push('SELECT 1;\n');
+        assert.equal(reader.dialect, null);
+        reader.setDialect(DIALECTS.postgres);
+        reader.push('LOCK TABLES `t` WRITE;\n');
+        assert.equal(reader.dialect, DIALECTS.postgres);
+    });
+});
+
+describe('splitTopLevel', () => {
+    it('splits on commas outside of literals and parentheses', () => {
+        assert.deepEqual(splitTopLevel("1, 'a,b', f(1, 2), 'it''s', ARRAY['c,d']"), ['1', "'a,b'", 'f(1, 2)', "'it''s'", "ARRAY['c,d']"]);
+    });
+
+    it('knows about backslash escapes in MySQL strings', () => {
+        assert.deepEqual(splitTopLevel("'a\\',b', 'c'", DIALECTS.mysql), ["'a\\',b'", "'c'"]);
+    });
+});
+
+describe('maskLiterals', () => {
+    it('keeps the length of the text', () => {
+        const text = "SELECT 'a;b', \"c\" -- d\n";
+        const masked = maskLiterals(text);
+        assert.equal(masked.length, text.length);
+        assert.doesNotMatch(masked, /;b/);
+    });
+});
@@ -0,0 +1,82 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after, before, describe, it } = require('node:test');
+const { openVault, detokenizeFile } = require('../lib/vault');
+const { anonymizeFile } = require('../lib/anonymizer');
+
+const DUMP = [
+    "INSERT INTO users (id, email, name) VALUES (1, 'ann@corp.es', 'Ann O''Brien'), (2, 'bob@corp.es', NULL);",
+    'COPY public.orders (id, email) FROM stdin;',
+    '10\tann@corp.es',
+    '11\tcarl@corp.es',
+    '\\.',
+    '',
+].join('\n');
+const TABLES = {
+    users: { columns: [{ column: 'email', strategy: 'email' }, 'name'] },
+    'public.orders': { columns: [{ column: 'email', strategy: 'email' }] },
+};
+
+const valuesOf = dump => dump.match(/'(?:[^']|'')*'|\b\w+@[\w.]+/g);
+
+describe('vault', () => {
+    let directory;
+    const file = name => path.join(directory, name);
+
+    before(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sql-anonymizer-vault-'));
+        fs.writeFileSync(file('dump.sql'), DUMP);
+    });
+
+    after(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('restores the original values of an anonymized dump', async () => {
+        const vault = openVault(file('round-trip.vault'), 'passphrase');
+        await anonymizeFile(file('dump.sql'), file('anonymized.sql'), { tables: TABLES, secret: 'secret', vault });
+        vault.save();
+        const anonymized = fs.readFileSync(file('anonymized.sql'), 'utf8');
+        assert.doesNotMatch(anonymized, /corp\.es|Brien/);
+        assert.equal(vault.size, 6);
+
+        const reopened = openVault(file('round-trip.vault'), 'passphrase');
+        assert.deepEqual(reopened.columns(), { users: ['email', 'name'], 'public.orders': ['email'] });
+        const summary = await detokenizeFile(file('anonymized.sql'), file('restored.sql'), { vault: reopened });
+        assert.deepEqual(valuesOf(fs.readFileSync(file('restored.sql'), 'utf8')), valuesOf(DUMP));
+        assert.deepEqual(summary.tables.users.columns.email, { changed: 2, unchanged: 0, skipped: 0, failed: 0 });
+    });
+
+    it('restores only the columns asked for', async () => {
+        const vault = openVault(file('columns.vault'), 'passphrase');
+        await anonymizeFile(file('dump.sql'), file('columns.sql'), { tables: TABLES, vault });
+        await detokenizeFile(file('columns.sql'), file('columns-restored.sql'), { vault, tables: { users: { columns: ['email'] } } });
+        const restored = fs.readFileSync(file('columns-restored.sql'), 'utf8');
+        assert.match(restored, /'ann@corp\.es'/);
+        assert.doesNotMatch(restored, /Brien|carl@corp\.es/);
+    });
+
+    it('cannot be opened with a wrong key, or once modified', () => {
+        const vault = openVault(file('key.vault'), 'right');
+        vault.record('users', 'email', 'user_1@example.com', 'ann@corp.es');
+        vault.save();
+        assert.throws(() => openVault(file('key.vault'), 'wrong'), /wrong key, or the file was modified/);
+        const content = JSON.parse(fs.readFileSync(file('key.vault'), 'utf8'));
+        fs.writeFileSync(file('key.vault'), JSON.stringify({ ...content, kdf: { ...content.kdf, N: 2 ** 14 } }));
+        assert.throws(() => openVault(file('key.vault'), 'right'), /wrong key, or the file was modified/);
+        assert.throws(() => openVault(file('key.vault'), ''), /needs a key/);
+        assert.throws(() => openVault(file('dump.sql'), 'right'), /is not a vault file/);
+    });
+
+    it('keeps replacements given to several original values as they are', async () => {
+        const vault = openVault(file('ambiguous.vault'), 'passphrase');
+        const tables = { users: { columns: [{ column: 'email', strategy: 'fixed', value: 'hidden' }] } };
+        await anonymizeFile(file('dump.sql'), file('ambiguous.sql'), { tables, vault });
+        assert.equal(vault.lookup('users', 'email').size, 0);
+        const summary = await detokenizeFile(file('ambiguous.sql'), file('ambiguous-restored.sql'), { vault });
+        assert.match(fs.readFileSync(file('ambiguous-restored.sql'), 'utf8'), /\( 1, 'hidden', .*\( 2, 'hidden', NULL \)/);
+        assert.deepEqual(summary.tables.users.columns.email, { changed: 0, unchanged: 0, skipped: 2, failed: 0 });
+    });
+});
@@ -0,0 +1,66 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { createWorkerPool } = require('../lib/workers');
+const { anonymizeText, createMemoryLogger } = require('./helpers');
+
+/**
+ * Returns the job of an INSERT statement into `users`, anonymizing its second column.
+ * @param {number} id - The id of the only row.
+ * @returns {object} - The job (see runJob).
+ */
+function insertJob(id) {
+    return {
+        type: 'insert',
+        statement: `INSERT INTO users (id, email) VALUES (${id}, 'user${id}@corp.es');`,
+        endLineNumber: id,
+        statementNumber: id,
+        dialect: 'postgres',
+        tableName: 'users',
+        exclude: false,
+        columnRules: [{ name: 'email', index: 1, strategy: 'fixed', options: { value: `replaced${id}` } }],
+        skippedRules: [],
+        rowFilter: null,
+    };
+}
+
+describe('createWorkerPool', () => {
+    it('gives the results of each batch in the order of its jobs', async () => {
+        const pool = createWorkerPool(2, 'warn');
+        try {
+            const batches = [[1, 2, 3], [4], [5, 6]].map(ids => ids.map(insertJob));
+            const results = await Promise.all(batches.map(batch => pool.run(batch)));
+            const replaced = results.map(batch => batch.map(({ text }) => text.match(/'(replaced\d+)'/)[1]));
+            assert.deepEqual(replaced, [['replaced1', 'replaced2', 'replaced3'], ['replaced4'], ['replaced5', 'replaced6']]);
+        } finally {
+            await pool.close();
+        }
+    });
+
+    it('rejects the batch of a job that cannot run', async () => {
+        const pool = createWorkerPool(1, 'warn');
+        try {
+            await assert.rejects(pool.run([{ type: 'nope' }]), /Unknown job type: nope/);
+        } finally {
+            await pool.close();
+        }
+    });
+});
+
+describe('anonymizing with worker threads', () => {
+    it('writes the output and the messages in input order, as a single thread does', async () => {
+        // A first batch much larger than the next ones, so that the workers finish out of order
+        const rows = Array.from({ length: 40000 }, (_, i) => `(${i}, 'user${i}@corp.es')`).join(',\n');
+        // Rows missing the email are kept, with a warning
+        const small = Array.from({ length: 300 }, (_, i) => `INSERT INTO users (id, email) VALUES (${i}${i % 50 === 0 ? '' : `, 'small${i}@corp.es'`});`);
+        const dump = [`INSERT INTO users (id, email) VALUES\n${rows};`, ...small, ''].join('\n');
+        const options = { tables: { users: { columns: [{ column: 'email', strategy: 'email' }] } }, seed: 'test' };
+        const run = async (workers) => {
+            const logger = createMemoryLogger();
+            const { output, summary } = await anonymizeText(dump, { ...options, workers, logger });
+            return { output, tables: summary.tables, warnings: logger.messages.filter(({ level }) => level === 'warn').map(({ message }) => message) };
+        };
+        const single = await run(1);
+        assert.equal(single.warnings.length, 6);
+        assert.deepEqual(await run(3), single);
+    });
+});